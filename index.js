@@ -0,0 +1,3 @@
+// Library entry point, peerchat.js is the command line app built on top of this
+export { ChatClient, PRESENCE_TOPIC, FRIEND_TOPIC, MESSAGE_TOPIC, GROUP_TOPIC, DIRECT_PROTOCOL, FILE_PROTOCOL } from './lib/chat-client.js';
+export { loadAccounts, createAccount, verifyAccount } from './lib/accounts.js';
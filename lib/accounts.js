@@ -0,0 +1,80 @@
+import bcrypt from 'bcrypt';
+import { loadJSON, saveJSON } from './storage.js';
+
+const SALT_ROUNDS = 10;
+const FREE_LOGIN_ATTEMPTS = 3;
+const LOCKOUT_BASE_DELAY = 30 * 1000;
+const LOCKOUT_MAX_DELAY = 60 * 60 * 1000;
+
+function formatWait(ms) {
+  return ms < 2 * 60 * 1000 ? `${Math.ceil(ms / 1000)}s` : `${Math.ceil(ms / 60000)} min`;
+}
+
+export function loadAccounts(accountsFile) {
+  return loadJSON(accountsFile, []);
+}
+
+export function saveAccount(accountsFile, account) {
+  const accounts = loadAccounts(accountsFile);
+  const index = accounts.findIndex(acc => acc.fullname === account.fullname);
+  if (index !== -1) accounts[index] = account;
+  else accounts.push(account);
+  saveJSON(accountsFile, accounts);
+}
+
+export function deleteAccount(accountsFile, fullname) {
+  saveJSON(accountsFile, loadAccounts(accountsFile).filter(acc => acc.fullname !== fullname));
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+export async function createAccount(accountsFile, { fullname, password, displayName }) {
+  if (!fullname || fullname.trim().length === 0) return { success: false, message: 'Full name cannot be empty' };
+  if (!password) return { success: false, message: 'Password cannot be empty' };
+  if (!displayName || displayName.trim().length === 0) return { success: false, message: 'Display name cannot be empty' };
+  if (loadAccounts(accountsFile).some(acc => acc.fullname === fullname.trim()))
+    return { success: false, message: 'An account with that name already exists' };
+
+  try {
+    const account = {
+      fullname: fullname.trim(),
+      passwordHash: await hashPassword(password),
+      displayName: displayName.trim()
+    };
+    saveAccount(accountsFile, account);
+    return { success: true, message: 'Account created successfully', account };
+  } catch (err) {
+    return { success: false, message: 'Error hashing password' };
+  }
+}
+
+// After a few wrong passwords every new one locks the account for twice as long as the last.
+// The count lives in accounts.json so restarting the program doesn't reset it
+export async function verifyAccount(accountsFile, fullname, password) {
+  if (!password) return { success: false, message: 'Password cannot be empty' };
+
+  const account = loadAccounts(accountsFile).find(acc => acc.fullname === fullname);
+  if (!account) return { success: false, message: 'Account not found' };
+
+  const wait = (account.lockedUntil ?? 0) - Date.now();
+  if (wait > 0) return { success: false, locked: true, retryAfter: wait, message: `Too many failed attempts, try again in ${formatWait(wait)}` };
+
+  const match = await bcrypt.compare(password, account.passwordHash).catch(() => false);
+  if (!match) {
+    const failedLogins = (account.failedLogins ?? 0) + 1;
+    const lockout = failedLogins < FREE_LOGIN_ATTEMPTS ? 0
+      : Math.min(LOCKOUT_BASE_DELAY * 2 ** (failedLogins - FREE_LOGIN_ATTEMPTS), LOCKOUT_MAX_DELAY);
+    saveAccount(accountsFile, { ...account, failedLogins, lockedUntil: lockout ? Date.now() + lockout : null });
+    if (!lockout) return { success: false, message: 'Incorrect password' };
+    return { success: false, locked: true, retryAfter: lockout, message: `Incorrect password. Too many failed attempts, try again in ${formatWait(lockout)}` };
+  }
+
+  if (account.failedLogins) {
+    delete account.failedLogins;
+    delete account.lockedUntil;
+    saveAccount(accountsFile, account);
+  }
+  return { success: true, message: 'Login successful', account };
+}
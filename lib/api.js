@@ -0,0 +1,232 @@
+import http from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+
+// Local control API for running without the prompt (peerchat.js --daemon). JSON-RPC 2.0 over
+// POST /rpc, or over a WebSocket on /ws which also gets every client event as an 'event'
+// notification. Every request needs the token, as "Authorization: Bearer <token>" or ?token=
+
+export const API_EVENTS = [
+  'peer:connect', 'presence', 'status', 'queueDelivered', 'friendRequest', 'friendAccept', 'unfriended', 'message', 'offlineMessages',
+  'groupInvite', 'groupJoin', 'groupLeave', 'groupKick', 'groupRole', 'groupSettings', 'groupRename', 'groupMessage',
+  'offlineGroupMessages', 'offlineGroupLeaves', 'receipt', 'forwarded', 'discovered', 'reconnecting', 'locked', 'unlocked',
+  'fileOffer', 'fileProgress', 'filePaused', 'fileReceived', 'fileSent', 'fileFailed', 'fileDeclined', 'spoof', 'warning'
+];
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const SESSION_LOCKED = -32001;
+const MAX_BODY_SIZE = 1024 * 1024;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Finds someone by name, handle or alias like the CLI does and returns the key for the map
+function resolvePerson(client, name, searchMap, notFound) {
+  const found = client.findPerson(name, searchMap);
+  if (!found.success) throw new RpcError(INVALID_PARAMS, found.ambiguous ? found.message : `${notFound} "${name}" not found`);
+  return found.key;
+}
+
+// The op log and base state are internal bookkeeping, callers only need the group itself
+function groupSummary({ log, base, ...group }) {
+  return group;
+}
+
+// One method for each slash command. params lists the required string params
+const METHODS = {
+  whoami: {
+    run: (client) => ({
+      fullname: client.profile.fullname,
+      displayName: client.profile.displayName,
+      handle: client.getHandle(),
+      peerId: client.peerId,
+      multiaddrs: client.getMultiaddrs()
+    })
+  },
+  connect: { params: ['multiaddr'], run: (client, { multiaddr }) => client.connect(multiaddr) },
+  peers: { run: (client) => client.getPeers() },
+  ping: { params: ['name'], run: (client, { name }) => client.pingPeer(name) },
+  whois: { params: ['name'], run: (client, { name }) => client.whois(name) },
+  addressBook: { run: (client) => client.getAddressBook() },
+  addAddress: { params: ['multiaddr'], run: (client, { multiaddr, label }) => client.addAddress(multiaddr, label) },
+  removeAddress: { params: ['name'], run: (client, { name }) => client.removeAddress(name) },
+
+  addFriend: {
+    params: ['name'],
+    run: (client, { name }) => {
+      const found = client.findPerson(name, client.onlinePeers);
+      if (found.success) return client.sendFriendRequest(found.key);
+      // someone offline can still be sent one by peer ID, it waits until they show up
+      const queued = found.ambiguous ? null : client.sendFriendRequest(name);
+      if (queued?.success) return queued;
+      throw new RpcError(INVALID_PARAMS, found.ambiguous ? found.message : `Peer "${name}" not found`);
+    }
+  },
+  friendRequests: { run: (client) => client.getFriendRequests() },
+  sentRequests: { run: (client) => client.getSentRequests() },
+  cancelRequest: { params: ['name'], run: (client, { name }) => client.cancelFriendRequest(name) },
+  acceptFriend: {
+    params: ['name'],
+    run: (client, { name }) => client.acceptFriendRequest(resolvePerson(client, name, client.friendRequests, 'No friend request from'))
+  },
+  rejectFriend: {
+    params: ['name'],
+    run: (client, { name }) => client.rejectFriendRequest(resolvePerson(client, name, client.friendRequests, 'No friend request from'))
+  },
+  friends: { run: (client) => client.getFriends() },
+  unfriend: { params: ['name'], run: (client, { name }) => client.unfriend(name) },
+  block: { params: ['name'], run: (client, { name }) => client.block(name) },
+  unblock: { params: ['name'], run: (client, { name }) => client.unblock(name) },
+  blocked: { run: (client) => client.getBlocked() },
+  setStatus: { params: ['status'], run: (client, { status, text }) => client.setStatus(status, text) },
+  setAlias: { params: ['name'], run: (client, { name, alias }) => client.setAlias(name, alias) },
+  sendMessage: { params: ['to', 'message'], run: (client, { to, message }) => client.sendMessage(resolvePerson(client, to, client.friends, 'Friend'), message) },
+
+  createGroup: { params: ['name'], run: (client, { name }) => client.createGroup(name) },
+  inviteToGroup: { params: ['group', 'name'], run: (client, { group, name }) => client.inviteToGroup(group, name) },
+  groupInvites: { run: (client) => client.getGroups({ invited: true }).map(groupSummary) },
+  joinGroup: { params: ['group'], run: (client, { group }) => client.acceptGroupInvite(group) },
+  rejectGroup: { params: ['group'], run: (client, { group }) => client.rejectGroupInvite(group) },
+  groups: { run: (client) => client.getGroups().map(groupSummary) },
+  sendGroupMessage: { params: ['group', 'message'], run: (client, { group, message }) => client.sendGroupMessage(group, message) },
+  leaveGroup: { params: ['group'], run: (client, { group }) => client.leaveGroup(group) },
+  kick: { params: ['group', 'name'], run: (client, { group, name }) => client.kickFromGroup(group, name) },
+  promote: { params: ['group', 'name'], run: (client, { group, name }) => client.setGroupRole(group, name, 'admin') },
+  demote: { params: ['group', 'name'], run: (client, { group, name }) => client.setGroupRole(group, name, 'member') },
+  setInvitePolicy: { params: ['group', 'policy'], run: (client, { group, policy }) => client.setInvitePolicy(group, policy) },
+  renameGroup: { params: ['group', 'newName'], run: (client, { group, newName }) => client.renameGroup(group, newName) },
+
+  history: { params: ['name'], run: (client, { name, page = 1 }) => client.getHistory(name, page) },
+  markRead: { params: ['name'], run: (client, { name }) => client.markRead(name) },
+  search: { params: ['text'], run: (client, { text }) => client.searchHistory(text) },
+
+  sendFile: { params: ['to', 'path'], run: (client, { to, path }) => client.sendFile(resolvePerson(client, to, client.friends, 'Friend'), path) },
+  sendGroupFile: { params: ['group', 'path'], run: (client, { group, path }) => client.sendGroupFile(group, path) },
+  files: { run: (client) => client.getTransfers() },
+  acceptFile: { params: ['id'], run: (client, { id }) => client.acceptFile(id) },
+  declineFile: { params: ['id'], run: (client, { id }) => client.declineFile(id) },
+
+  lock: { run: (client) => client.lock() },
+  unlock: { params: ['password'], run: (client, { password }) => client.unlock(password) },
+  changePassword: {
+    params: ['currentPassword', 'newPassword'],
+    run: (client, { currentPassword, newPassword }) => client.changePassword(currentPassword, newPassword)
+  },
+  deleteAccount: { params: ['password'], quitOnSuccess: true, run: (client, { password }) => client.deleteAccount(password) },
+  quit: { quitOnSuccess: true, run: () => ({ success: true, message: 'Shutting down' }) }
+};
+
+// Runs one JSON-RPC request. Returns the response, or null for a notification (no id)
+async function handleRequest(client, request, onQuit) {
+  const id = request?.id ?? null;
+  try {
+    if (request?.jsonrpc !== '2.0' || typeof request.method !== 'string') throw new RpcError(INVALID_REQUEST, 'Invalid request');
+    const method = Object.hasOwn(METHODS, request.method) ? METHODS[request.method] : null;
+    if (!method) throw new RpcError(METHOD_NOT_FOUND, `Unknown method ${request.method}`);
+    if (client.locked && request.method !== 'unlock') throw new RpcError(SESSION_LOCKED, 'Session is locked, call unlock first');
+
+    const params = request.params ?? {};
+    if (typeof params !== 'object' || Array.isArray(params)) throw new RpcError(INVALID_PARAMS, 'params must be an object');
+    const missing = (method.params || []).filter(name => typeof params[name] !== 'string' || !params[name].trim());
+    if (missing.length > 0) throw new RpcError(INVALID_PARAMS, `Missing params: ${missing.join(', ')}`);
+
+    const result = await method.run(client, params);
+    if (method.quitOnSuccess && result.success) setImmediate(onQuit);
+    return request.id === undefined ? null : { jsonrpc: '2.0', id, result };
+  } catch (err) {
+    const error = { code: err instanceof RpcError ? err.code : INTERNAL_ERROR, message: err.message };
+    return request?.id === undefined && err.code !== INVALID_REQUEST ? null : { jsonrpc: '2.0', id, error };
+  }
+}
+
+function parseRequest(text) {
+  try {
+    return { request: JSON.parse(text) };
+  } catch (err) {
+    return { response: { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } } };
+  }
+}
+
+function isAuthorized(req, token) {
+  const url = new URL(req.url, 'http://localhost');
+  const given = Buffer.from(req.headers.authorization?.replace(/^Bearer /, '') ?? url.searchParams.get('token') ?? '');
+  const expected = Buffer.from(token);
+  // timingSafeEqual throws on different byte lengths, which multibyte characters can give for the same string length
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Only listens on localhost unless told otherwise. Resolves once it's listening with the
+// port, the token (made up if none was given) and close()
+export async function startApi(client, { port = 0, host = '127.0.0.1', token = randomBytes(24).toString('hex'), onQuit = () => {} } = {}) {
+  const sockets = new WebSocketServer({ noServer: true });
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (!isAuthorized(req, token)) return reply(401, { error: 'Missing or wrong token' });
+    if (req.method !== 'POST' || new URL(req.url, 'http://localhost').pathname !== '/rpc') return reply(404, { error: 'Not found' });
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) req.destroy();
+    });
+    req.on('end', async () => {
+      const { request, response } = parseRequest(body);
+      const result = response ?? await handleRequest(client, request, onQuit);
+      if (result) reply(200, result);
+      else res.writeHead(204).end();
+    });
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws' || !isAuthorized(req, token)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    sockets.handleUpgrade(req, socket, head, ws => {
+      ws.on('message', async (data) => {
+        const { request, response } = parseRequest(data.toString());
+        const result = response ?? await handleRequest(client, request, onQuit);
+        if (result) ws.send(JSON.stringify(result));
+      });
+    });
+  });
+
+  // nothing goes out while the session is locked, apart from the lock itself
+  const listeners = API_EVENTS.map(event => {
+    const listener = (data) => {
+      if (client.locked && event !== 'locked') return;
+      const notification = JSON.stringify({ jsonrpc: '2.0', method: 'event', params: { event, data } });
+      sockets.clients.forEach(ws => ws.send(notification));
+    };
+    client.on(event, listener);
+    return [event, listener];
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    port: server.address().port,
+    token,
+    close: () => new Promise(resolve => {
+      listeners.forEach(([event, listener]) => client.off(event, listener));
+      sockets.clients.forEach(ws => ws.terminate());
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
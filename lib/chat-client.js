@@ -0,0 +1,2707 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID, randomBytes, createHash } from 'crypto';
+import { multiaddr } from '@multiformats/multiaddr';
+import { peerIdFromString } from '@libp2p/peer-id';
+import { loadJSON, saveJSON } from './storage.js';
+import { generateDerKeyPair, sealMessage, openMessage, signEnvelope, verifySignature, deriveHandle, deriveDataKey, sha256, hashFile } from './crypto.js';
+import { createAccount, verifyAccount, saveAccount, deleteAccount, hashPassword } from './accounts.js';
+import { createNode, stopNode, loadOrCreatePeerKey, reencryptPeerKey, writeDirect, handleDirect, handleFileRequests, requestFile, DIRECT_PROTOCOL, FILE_PROTOCOL } from './node.js';
+
+// Pubsub topics. GROUP_TOPIC is only a prefix, each group gets its own topic under it (see groupTopic())
+export const PRESENCE_TOPIC = 'p2p-presence';
+export const FRIEND_TOPIC = 'p2p-friends';
+export const MESSAGE_TOPIC = 'p2p-messages';
+export const GROUP_TOPIC = 'p2p-group';
+export { DIRECT_PROTOCOL, FILE_PROTOCOL };
+
+const HEARTBEAT_INTERVAL = 30000;
+const FRIEND_LOOKUP_DELAY = 5000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const HISTORY_PAGE_SIZE = 20;
+const STORED_ENVELOPE_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_STORED_PER_RECIPIENT = 200;
+const FILE_CHUNK_SIZE = 64 * 1024;
+const PING_TIMEOUT = 10000;
+const MISSED_HEARTBEATS = 3;
+const MAX_HEARTBEAT = 10 * 60 * 1000;
+const STATUSES = ['online', 'away', 'busy'];
+const MAX_STATUS_TEXT = 100;
+const FRIEND_REQUEST_TTL = 30 * 24 * 60 * 60 * 1000;
+const GROUP_OP_TYPES = ['GROUP_INVITE', 'GROUP_JOIN', 'GROUP_DECLINE', 'GROUP_LEAVE', 'GROUP_KICK', 'GROUP_ROLE', 'GROUP_SETTINGS', 'GROUP_RENAME'];
+const ADMIN_OP_TYPES = ['GROUP_KICK', 'GROUP_ROLE', 'GROUP_SETTINGS', 'GROUP_RENAME'];
+
+// Which transport a connection's remote address goes over, for /peers and /whois
+function transportOf(addr) {
+  if (addr.includes('/webrtc')) return 'webrtc';
+  if (addr.includes('/p2p-circuit')) return 'relay';
+  if (/\/wss?(\/|$)/.test(addr)) return 'websockets';
+  return 'tcp';
+}
+
+// The addresses that parse, anything else someone announced is dropped
+function parseMultiaddrs(addrs) {
+  return addrs.flatMap(addr => {
+    try {
+      return typeof addr === 'string' ? [multiaddr(addr)] : [];
+    } catch (err) {
+      return [];
+    }
+  });
+}
+
+// One logged in account and its libp2p node. Everything that happens on the network is
+// reported through events so the same client can back the CLI or be embedded somewhere else.
+//
+// Events: peer:connect, presence, status, queueDelivered, friendRequest, friendAccept, unfriended, message,
+// offlineMessages, groupInvite, groupJoin, groupLeave, groupKick, groupRole, groupSettings, groupRename, groupMessage,
+// offlineGroupMessages, offlineGroupLeaves, receipt, forwarded, discovered, reconnecting, locked, unlocked,
+// fileOffer, fileProgress, filePaused, fileReceived, fileSent, fileFailed, fileDeclined, spoof, dataLoaded, warning
+export class ChatClient extends EventEmitter {
+  // idleLockTimeout and heartbeatInterval are in ms, an idleLockTimeout of 0 turns the auto-lock off.
+  // port pins the listen port (otherwise last session's is reused), listen is a list of IPs or multiaddrs.
+  // wsPort, webrtc, relay and relays pick the extra transports, see createNode in node.js
+  constructor({
+    dataDir = './account_data',
+    accountsFile = './accounts.json',
+    downloadDir = './downloads',
+    discovery = false,
+    idleLockTimeout = 0,
+    heartbeatInterval = HEARTBEAT_INTERVAL,
+    port = null,
+    listen = null,
+    wsPort = null,
+    webrtc = false,
+    relay = false,
+    relays = []
+  } = {}) {
+    super();
+    this.dataDir = dataDir;
+    this.accountsFile = accountsFile;
+    this.downloadDir = downloadDir;
+    this.discovery = discovery;
+    this.idleLockTimeout = idleLockTimeout;
+    this.heartbeatInterval = heartbeatInterval;
+    this.port = port;
+    this.listen = listen;
+    this.transportOptions = { wsPort, webrtc, relay, relays };
+
+    // User state
+    this.profile = null;
+    this.peerId = null;
+    this.keys = null;
+    this.node = null;
+    this.password = null;
+    this.dataKey = null;
+    this.heartbeat = null;
+    this.friendLookup = null;
+    this.idleTimer = null;
+    this.locked = false;
+    this.stopping = false;
+    this.stopped = null;
+
+    // Maps for tracking everything
+    this.friends = new Map();
+    this.friendRequests = new Map();
+    this.sentRequests = new Map();
+    this.offlineMessages = new Map();
+    this.offlineGroupMessages = new Map();
+    this.offlineGroupLeaves = new Map();
+    this.groups = new Map();
+    this.onlinePeers = new Map();
+    this.history = new Map();
+    this.storedEnvelopes = new Map();
+    this.addressBook = new Map();
+    this.reconnectTimers = new Map();
+    this.reconnectAttempts = new Map();
+    this.transfers = new Map();
+    this.activeDownloads = new Set();
+    this.blocked = new Map();
+  }
+
+  // Account registration/login
+
+  async register({ fullname, password, displayName }) {
+    const result = await createAccount(this.accountsFile, { fullname, password, displayName });
+    if (!result.success) return result;
+    this.startSession(result.account, password);
+    return { success: true, message: result.message };
+  }
+
+  async login(fullname, password) {
+    const result = await verifyAccount(this.accountsFile, fullname, password);
+    if (!result.success) return result;
+    this.startSession(result.account, password);
+    return { success: true, message: result.message };
+  }
+
+  startSession(account, password) {
+    this.profile = { ...account };
+    this.password = password;
+
+    // new accounts, and ones from before data was encrypted, get a salt here. Any plain files get rewritten below
+    const encryptExisting = !this.profile.dataSalt;
+    if (encryptExisting) {
+      this.profile.dataSalt = randomBytes(16).toString('base64');
+      this.saveProfile();
+    }
+    this.dataKey = deriveDataKey(password, this.profile.dataSalt);
+
+    this.keys = this.loadOrCreateKeys();
+    Object.entries(this.dataMaps()).forEach(([dataType, mapTarget]) => this.loadData(dataType, mapTarget));
+    this.migrateGroups();
+    this.pruneStoredEnvelopes();
+    this.pruneFriendRequests();
+    if (encryptExisting) this.saveAllData();
+  }
+
+  saveProfile() {
+    saveAccount(this.accountsFile, this.profile);
+  }
+
+  // Re-hashes the password and re-encrypts the peer key and every data file under it
+  async changePassword(currentPassword, newPassword) {
+    if (!newPassword) return { success: false, message: 'New password cannot be empty' };
+    const result = await verifyAccount(this.accountsFile, this.profile.fullname, currentPassword);
+    if (!result.success) return result;
+
+    let passwordHash;
+    try {
+      passwordHash = await hashPassword(newPassword);
+    } catch (err) {
+      return { success: false, message: 'Error hashing password' };
+    }
+
+    reencryptPeerKey(this.dataFile('peerkey'), currentPassword, newPassword);
+    this.password = newPassword;
+    this.profile.passwordHash = passwordHash;
+    this.profile.dataSalt = randomBytes(16).toString('base64');
+    this.dataKey = deriveDataKey(newPassword, this.profile.dataSalt);
+    this.saveProfile();
+    this.saveAllData();
+    return { success: true, message: 'Password changed' };
+  }
+
+  // Stops the node and removes the account and every ${fullname}_*.json file it had.
+  // Friends aren't told, to them it just looks like we never come back online
+  async deleteAccount(password) {
+    const result = await verifyAccount(this.accountsFile, this.profile.fullname, password);
+    if (!result.success) return result;
+
+    await this.stop();
+    const prefix = `${this.profile.fullname}_`;
+    if (fs.existsSync(this.dataDir)) {
+      fs.readdirSync(this.dataDir)
+        .filter(file => file.startsWith(prefix) && /^[a-z]+\.json$/.test(file.slice(prefix.length)))
+        .forEach(file => fs.rmSync(path.join(this.dataDir, file)));
+    }
+    deleteAccount(this.accountsFile, this.profile.fullname);
+    this.password = null;
+    this.dataKey = null;
+    return { success: true, message: `Deleted the account for ${this.profile.fullname}` };
+  }
+
+  // Data storage
+
+  dataFile(dataType) {
+    return `${this.dataDir}/${this.profile.fullname}_${dataType}.json`;
+  }
+
+  // Every Map that's kept in its own data file, by data type
+  dataMaps() {
+    return {
+      friends: this.friends,
+      requests: this.friendRequests,
+      sentrequests: this.sentRequests,
+      messages: this.offlineMessages,
+      groupmessages: this.offlineGroupMessages,
+      groupleaves: this.offlineGroupLeaves,
+      groups: this.groups,
+      history: this.history,
+      stored: this.storedEnvelopes,
+      addressbook: this.addressBook,
+      transfers: this.transfers,
+      blocked: this.blocked
+    };
+  }
+
+  // Data files are encrypted with a key derived from the password (see startSession)
+  loadData(dataType, mapTarget) {
+    const entries = loadJSON(this.dataFile(dataType), [], this.dataKey);
+    entries.forEach(([key, value]) => mapTarget.set(key, value));
+    if (entries.length > 0) this.emit('dataLoaded', { dataType, count: entries.length });
+  }
+
+  saveData(dataType, mapSource) {
+    saveJSON(this.dataFile(dataType), Array.from(mapSource.entries()), this.dataKey);
+  }
+
+  // Rewrites the files that exist with the current data key
+  saveAllData() {
+    Object.entries(this.dataMaps())
+      .filter(([dataType]) => fs.existsSync(this.dataFile(dataType)))
+      .forEach(([dataType, mapSource]) => this.saveData(dataType, mapSource));
+    saveJSON(this.dataFile('keys'), this.keys, this.dataKey);
+  }
+
+  // Long-term keys for the account: X25519 for sealing DMs, Ed25519 for signing everything we publish.
+  // Public halves are handed out with friend requests
+  loadOrCreateKeys() {
+    const file = this.dataFile('keys');
+    const keys = loadJSON(file, null, this.dataKey) || generateDerKeyPair('x25519');
+
+    // accounts made before signing existed only have the encryption keypair
+    if (!keys.signingPublicKey) {
+      const signing = generateDerKeyPair('ed25519');
+      keys.signingPublicKey = signing.publicKey;
+      keys.signingPrivateKey = signing.privateKey;
+      saveJSON(file, keys, this.dataKey);
+    }
+    return keys;
+  }
+
+  // setup libp2p node
+
+  // Starts the node with the account's peer identity and hooks it up to the network.
+  // Must be called after register() or login()
+  async createNode() {
+    if (!this.profile) throw new Error('Log in before creating a node');
+
+    const privateKey = await loadOrCreatePeerKey(this.dataFile('peerkey'), this.password);
+    const nodeOptions = { discovery: this.discovery, listen: this.listen, ...this.transportOptions };
+    if (this.port !== null) {
+      // a port we were told to use has to work, last session's is only a preference
+      this.node = await createNode(privateKey, this.port, nodeOptions);
+    } else {
+      try {
+        this.node = await createNode(privateKey, this.profile.lastPort, nodeOptions);
+      } catch (err) {
+        this.emit('warning', { message: `Port ${this.profile.lastPort} is unavailable, using a new one` });
+        this.node = await createNode(privateKey, 0, nodeOptions);
+      }
+    }
+    await this.node.start();
+
+    this.peerId = this.node.peerId.toString();
+    const listenAddr = this.getMultiaddrs().find(addr => /\/tcp\/\d+\/p2p\//.test(addr) && !addr.includes('/p2p-circuit'));
+    if (listenAddr) {
+      this.profile.lastPort = parseInt(listenAddr.split('/tcp/')[1]);
+      this.saveProfile();
+    }
+
+    // Subscribe to the shared topics and the ones for groups we're in
+    this.node.services.pubsub.subscribe(PRESENCE_TOPIC);
+    this.node.services.pubsub.subscribe(FRIEND_TOPIC);
+    this.getGroups().forEach(({ groupId }) => this.node.services.pubsub.subscribe(this.groupTopic(groupId)));
+
+    await handleDirect(this.node, (envelope, fromPeerId) => this.handleDirectStream(envelope, fromPeerId));
+    await handleFileRequests(this.node, (request, fromPeerId) => this.serveFile(request, fromPeerId));
+
+    this.node.addEventListener('peer:connect', (evt) => {
+      const peerId = evt.detail.toString();
+      clearTimeout(this.reconnectTimers.get(peerId));
+      this.reconnectTimers.delete(peerId);
+      this.reconnectAttempts.delete(peerId);
+      this.emit('peer:connect', { peerId });
+      setTimeout(() => this.announcePresence(), 500);
+    });
+
+    this.node.addEventListener('peer:disconnect', (evt) => {
+      const peerId = evt.detail.toString();
+      this.markOffline(peerId);
+      if (this.addressBook.has(peerId)) this.scheduleReconnect(peerId);
+    });
+
+    // announce as soon as a peer can actually hear us on the presence topic
+    this.node.services.pubsub.addEventListener('subscription-change', (evt) => {
+      if (evt.detail.subscriptions.some(sub => sub.topic === PRESENCE_TOPIC && sub.subscribe)) this.announcePresence();
+    });
+
+    this.node.services.pubsub.addEventListener('message', (evt) => this.handlePubsubMessage(evt));
+
+    if (this.discovery) {
+      // mDNS found someone on the LAN, connect so gossipsub can reach them
+      this.node.addEventListener('peer:discovery', (evt) => {
+        const peerId = evt.detail.id;
+        if (this.node.getConnections(peerId).length > 0) return;
+        this.emit('discovered', { peerId: peerId.toString() });
+        this.node.dial(peerId).catch(() => {});
+      });
+      this.friendLookup = setTimeout(() => this.reconnectFriends(), FRIEND_LOOKUP_DELAY);
+    }
+
+    // Announce presence periodically, like a heartbeat to the other nodes
+    this.heartbeat = setInterval(() => {
+      if (this.node.getPeers().length > 0) this.announcePresence();
+      this.expirePresence();
+      this.pruneFriendRequests();
+      if (this.discovery) this.reconnectFriends();
+    }, this.heartbeatInterval);
+
+    // Check for offline messages
+    this.deliverOfflineMessages();
+    this.deliverOfflineGroupMessages();
+    this.deliverOfflineGroupLeaves();
+
+    this.announcePresence();
+    this.redialAddressBook();
+    this.recordActivity();
+    return this.node;
+  }
+
+  // Session locking. The node stays on the network while locked, it's up to the front end
+  // to hide the session and not run commands until unlock() gets the password again
+
+  lock({ idle = false } = {}) {
+    if (this.locked) return { success: false, message: 'Session is already locked' };
+    this.locked = true;
+    clearTimeout(this.idleTimer);
+    this.emit('locked', { idle });
+    return { success: true, message: 'Session locked' };
+  }
+
+  // Goes through verifyAccount, so wrong passwords here count towards the login lockout too
+  async unlock(password) {
+    if (!this.locked) return { success: false, message: 'Session is not locked' };
+    const result = await verifyAccount(this.accountsFile, this.profile.fullname, password);
+    if (!result.success) return result;
+
+    this.locked = false;
+    this.emit('unlocked', {});
+    this.recordActivity();
+    return { success: true, message: 'Session unlocked' };
+  }
+
+  // Front ends call this whenever the user does something, to push back the idle auto-lock
+  recordActivity() {
+    clearTimeout(this.idleTimer);
+    if (this.idleLockTimeout > 0 && !this.locked && !this.stopping) {
+      this.idleTimer = setTimeout(() => this.lock({ idle: true }), this.idleLockTimeout);
+    }
+  }
+
+  async connect(multiaddrStr) {
+    try {
+      await this.node.dial(multiaddr(multiaddrStr));
+      return { success: true, message: 'Connection initiated' };
+    } catch (err) {
+      return { success: false, message: `Failed to connect: ${err.message}` };
+    }
+  }
+
+  // Look up friends we aren't connected to by their last known peer ID through the DHT
+  async reconnectFriends() {
+    const lookups = [...this.friends.entries()]
+      .filter(([fullname, data]) => data.peerId && !this.isFriendOnline(fullname))
+      .map(async ([fullname, data]) => {
+        try {
+          const peerId = peerIdFromString(data.peerId);
+          if (this.node.getConnections(peerId).length > 0) return;
+          const peerInfo = await this.node.peerRouting.findPeer(peerId, { signal: AbortSignal.timeout(10000) });
+          await this.node.dial(peerInfo.multiaddrs.length > 0 ? peerInfo.multiaddrs : peerId);
+        } catch (err) {
+          // not on the DHT right now, try again next heartbeat
+        }
+      });
+    await Promise.all(lookups);
+  }
+
+  // address book
+
+  // Everyone we've saved addresses for gets dialed on startup
+  redialAddressBook() {
+    for (const [peerId, entry] of this.addressBook.entries()) {
+      const addrs = parseMultiaddrs(entry.addrs);
+      if (addrs.length > 0) this.node.dial(addrs).catch(() => this.scheduleReconnect(peerId));
+    }
+  }
+
+  // Retry a saved peer with exponential backoff until it comes back or we shut down
+  scheduleReconnect(peerId) {
+    if (this.stopping || this.reconnectTimers.has(peerId)) return;
+
+    const attempt = this.reconnectAttempts.get(peerId) || 0;
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY);
+    this.emit('reconnecting', { peerId, label: this.addressBook.get(peerId)?.label, attempt: attempt + 1, delay });
+
+    this.reconnectTimers.set(peerId, setTimeout(async () => {
+      this.reconnectTimers.delete(peerId);
+      const entry = this.addressBook.get(peerId);
+      if (!entry || this.stopping || this.node.getConnections(peerIdFromString(peerId)).length > 0) return;
+
+      this.reconnectAttempts.set(peerId, attempt + 1);
+      try {
+        await this.node.dial(parseMultiaddrs(entry.addrs));
+      } catch (err) {
+        this.scheduleReconnect(peerId);
+      }
+    }, delay));
+  }
+
+  // Friends' addresses come from their signed presence announcements
+  rememberAddresses(peerId, fullname, displayName, addrs) {
+    if (!Array.isArray(addrs)) return;
+    addrs = parseMultiaddrs(addrs).map(addr => addr.toString());
+    if (addrs.length === 0) return;
+
+    const existing = this.addressBook.get(peerId);
+    this.addressBook.set(peerId, {
+      ...existing,
+      label: displayName,
+      fullname,
+      addrs,
+      lastSeen: new Date().toISOString()
+    });
+    this.saveData('addressbook', this.addressBook);
+  }
+
+  // Someone left, said goodbye or stopped announcing. Friends keep when we last saw them
+  markOffline(peerId) {
+    const peerInfo = this.onlinePeers.get(peerId);
+    if (!peerInfo) return;
+
+    this.onlinePeers.delete(peerId);
+    const friend = this.friends.get(peerInfo.fullname);
+    if (friend) {
+      friend.lastSeen = peerInfo.lastSeen;
+      this.saveData('friends', this.friends);
+    }
+    this.emit('presence', { peerId, ...peerInfo, online: false, isFriend: !!friend });
+  }
+
+  // Peers we only hear through gossip never disconnect from us, so they go offline once they've
+  // missed a few of their own heartbeats
+  expirePresence() {
+    const now = Date.now();
+    for (const [peerId, info] of this.onlinePeers.entries()) {
+      if (now - Date.parse(info.lastSeen) > MISSED_HEARTBEATS * info.heartbeat) this.markOffline(peerId);
+    }
+  }
+
+  // Lets libp2p dial peers we only know from gossip, e.g. through the relay address they announced
+  addPeerAddresses(peerId, addrs) {
+    if (!Array.isArray(addrs)) return;
+    try {
+      this.node.peerStore.merge(peerIdFromString(peerId), { multiaddrs: parseMultiaddrs(addrs) }).catch(() => {});
+    } catch (err) {
+      // not a peer ID we can use
+    }
+  }
+
+  addAddress(multiaddrStr, label) {
+    let peerId;
+    try {
+      peerId = multiaddr(multiaddrStr).getComponents().find(component => component.name === 'p2p')?.value;
+    } catch (err) {
+      return { success: false, message: `Invalid multiaddr: ${err.message}` };
+    }
+    if (!peerId) return { success: false, message: 'The multiaddr needs to end in /p2p/<peer id>' };
+
+    const existing = this.addressBook.get(peerId);
+    const addrs = existing ? [...new Set([...existing.addrs, multiaddrStr])] : [multiaddrStr];
+    this.addressBook.set(peerId, { ...existing, label: label || existing?.label || peerId.slice(0, 16), addrs, manual: true });
+    this.saveData('addressbook', this.addressBook);
+    return { success: true, message: `Saved ${multiaddrStr}` };
+  }
+
+  // Matches a label or the start of a peer ID
+  removeAddress(name) {
+    const match = [...this.addressBook.entries()].find(([peerId, entry]) =>
+      entry.label?.toLowerCase() === name.toLowerCase() || peerId.startsWith(name));
+    if (!match) return { success: false, message: `No saved address for "${name}"` };
+
+    const [peerId, entry] = match;
+    this.addressBook.delete(peerId);
+    clearTimeout(this.reconnectTimers.get(peerId));
+    this.reconnectTimers.delete(peerId);
+    this.saveData('addressbook', this.addressBook);
+    return { success: true, message: `Removed ${entry.label} from the address book` };
+  }
+
+  getAddressBook() {
+    return [...this.addressBook.entries()].map(([peerId, entry]) => ({ peerId, ...entry }));
+  }
+
+  getMultiaddrs() {
+    return this.node ? this.node.getMultiaddrs().map(addr => addr.toString()) : [];
+  }
+
+  // Says goodbye on the presence topic first so peers don't have to wait for us to time out.
+  // /quit closes the prompt, which stops us too, so every call waits on the same stop
+  stop() {
+    if (!this.stopped) this.stopped = this.shutdown();
+    return this.stopped;
+  }
+
+  async shutdown() {
+    if (this.node && !this.stopping && this.profile && this.node.getPeers().length > 0) {
+      try {
+        await this.node.services.pubsub.publish(PRESENCE_TOPIC, new TextEncoder().encode(JSON.stringify(
+          signEnvelope(PRESENCE_TOPIC, { type: 'OFFLINE', peerId: this.peerId, fullname: this.profile.fullname }, this.peerId, this.keys)
+        )));
+      } catch (err) {
+        // nobody to tell, they'll notice when the heartbeats stop
+      }
+    }
+    this.stopping = true;
+    clearInterval(this.heartbeat);
+    clearTimeout(this.friendLookup);
+    clearTimeout(this.idleTimer);
+    this.reconnectTimers.forEach(timer => clearTimeout(timer));
+    this.reconnectTimers.clear();
+    this.heartbeat = null;
+    if (this.node) await stopNode(this.node);
+  }
+
+  // Pubsub
+
+  // Returns the signed envelope so it can be handed to other peers to store and forward
+  publishMessage(topic, data) {
+    const envelope = signEnvelope(topic, data, this.peerId, this.keys);
+    this.publishEnvelope(topic, envelope);
+    return envelope;
+  }
+
+  publishEnvelope(topic, envelope) {
+    this.node.services.pubsub.publish(topic, new TextEncoder().encode(JSON.stringify(envelope)))
+      .catch(err => this.emit('warning', { message: `Failed to publish to ${topic}: ${err.message}` }));
+  }
+
+  // Same envelope as publishMessage but only sent to one peer over the direct protocol
+  sendDirect(peerId, data) {
+    const envelope = signEnvelope(DIRECT_PROTOCOL, data, this.peerId, this.keys);
+    writeDirect(this.node, peerId, envelope)
+      .catch(err => this.emit('warning', { message: `Failed to reach ${peerId.slice(0, 16)}...: ${err.message}` }));
+    return envelope;
+  }
+
+  groupTopic(groupId) {
+    return `${GROUP_TOPIC}/${groupId}`;
+  }
+
+  // The signing key we already trust for an account, if we've seen them before
+  findSigningKey(fullname) {
+    return this.friends.get(fullname)?.signingKey ||
+      this.friendRequests.get(fullname)?.signingKey ||
+      [...this.onlinePeers.values()].find(peer => peer.fullname === fullname)?.signingKey ||
+      null;
+  }
+
+  // Checks an incoming envelope and returns the message inside, or null if it should be dropped.
+  // fromPeerId is the sender gossipsub authenticated, the envelope has to be signed for that peer.
+  // Forwarded envelopes are checked against their own peerId since someone else delivered them
+  verifyEnvelope(topic, envelope, fromPeerId) {
+    if (!envelope?.body || !envelope.signature || !envelope.signingKey) return null;
+
+    const message = JSON.parse(envelope.body);
+    const claimedName = message.fromFullname || message.fullname || message.peerFullname;
+    const claimedPeerIds = [message.from, message.peerId].filter(Boolean);
+    const trustedKey = claimedName ? this.findSigningKey(claimedName) : null;
+
+    if (!verifySignature(topic, envelope) ||
+        envelope.peerId !== fromPeerId ||
+        claimedPeerIds.some(peerId => peerId !== fromPeerId) ||
+        (trustedKey && trustedKey !== envelope.signingKey)) {
+      this.emit('spoof', { type: message.type || 'message', claimedName: claimedName || 'unknown', peerId: fromPeerId });
+      return null;
+    }
+
+    // friends added before signing existed get pinned to the first key that speaks for them
+    if (claimedName && !trustedKey && this.friends.has(claimedName)) {
+      this.friends.get(claimedName).signingKey = envelope.signingKey;
+      this.saveData('friends', this.friends);
+    }
+
+    return { message, signingKey: envelope.signingKey };
+  }
+
+  handlePubsubMessage(evt) {
+    try {
+      const envelope = JSON.parse(new TextDecoder().decode(evt.detail.data));
+      const verified = this.verifyEnvelope(evt.detail.topic, envelope, evt.detail.from?.toString());
+      if (!verified) return;
+      const { message, signingKey } = verified;
+
+      if (evt.detail.topic === PRESENCE_TOPIC) {
+        if (message.type === 'PRESENCE') {
+          this.handlePresence(message.peerId, message.displayName, message.fullname, signingKey, message.addrs, message);
+        } else if (message.type === 'OFFLINE') {
+          this.markOffline(message.peerId);
+        }
+      } else if (evt.detail.topic === FRIEND_TOPIC) {
+        if (message.type === 'FRIEND_REQUEST' && message.to === this.peerId) {
+          this.handleFriendRequest(message.fromName, message.fromFullname, message.publicKey, signingKey);
+        } else if (message.type === 'FRIEND_ACCEPT' && message.to === this.peerId) {
+          this.handleFriendAccept(message.fromName, message.fromFullname, message.publicKey, signingKey, message.from);
+        } else if (message.type === 'FRIEND_CANCEL' && message.to === this.peerId) {
+          this.handleFriendCancel(message.fromFullname, signingKey);
+        }
+      } else if (evt.detail.topic === this.groupTopic(message.groupId)) {
+        // still in the group with someone we blocked, but we don't hear them
+        const blocked = this.isBlocked(message.fromFullname, signingKey);
+        if (GROUP_OP_TYPES.includes(message.type)) {
+          this.mergeGroupOps(message.groupId, [envelope]);
+        } else if (message.type === 'GROUP_DIGEST') {
+          this.handleGroupDigest(message.groupId, message.hash, message.opIds, message.from, message.fromFullname, signingKey);
+        } else if (message.type === 'GROUP_MESSAGE' && !blocked) {
+          this.handleGroupMessage(message.groupId, message.fromName, message.message, message.fromFullname, message.timestamp, message.messageId);
+        } else if (['DELIVERED', 'READ'].includes(message.type) && message.toFullname === this.profile.fullname) {
+          this.handleReceipt(message.type, message.messageIds, message.fromName, message.fromFullname, message.groupId);
+        } else if (message.type === 'FILE_OFFER' && !blocked) {
+          this.handleFileOffer(message);
+        }
+      }
+    } catch (err) {
+      // ignore bad messages
+    }
+  }
+
+  // Direct messages, their receipts and forwarded envelopes come in over a stream from one peer
+  handleDirectStream(envelope, fromPeerId) {
+    try {
+      const verified = this.verifyEnvelope(DIRECT_PROTOCOL, envelope, fromPeerId);
+      if (!verified) return;
+      const { message } = verified;
+      if (message.toFullname !== this.profile.fullname) return;
+      if (this.isBlocked(message.fromFullname, verified.signingKey)) return;
+
+      if (message.type === 'DIRECT_MESSAGE') {
+        this.handleDirectMessage(message.fromName, message.fromFullname, message.sealed, message.timestamp, message.messageId);
+      } else if (['DELIVERED', 'READ'].includes(message.type)) {
+        this.handleReceipt(message.type, message.messageIds, message.fromName, message.fromFullname);
+      } else if (message.type === 'FORWARD') {
+        this.handleForward(message.envelopes);
+      } else if (message.type === 'GROUP_LOG') {
+        this.handleGroupLog(message.groupId, message, message.ops, verified.signingKey);
+      } else if (message.type === 'FILE_OFFER') {
+        this.handleFileOffer(message);
+      } else if (message.type === 'FILE_DECLINE') {
+        this.handleFileDecline(message.transferId, message.fromName, message.fromFullname);
+      } else if (message.type === 'UNFRIEND') {
+        this.handleUnfriend(message.fromFullname, verified.signingKey);
+      } else if (message.type === 'STORE') {
+        this.handleStore(message.toFullnames, message.messageId, message.topic, message.envelope);
+      }
+    } catch (err) {
+      // ignore bad messages
+    }
+  }
+
+  // Peer/friend stuff
+
+  getHandle() {
+    return deriveHandle(this.profile.displayName, this.keys.signingPublicKey);
+  }
+
+  // Anyone we have a signing key for gets a handle, otherwise all we have is their display name
+  handleOf(info) {
+    return info.signingKey ? deriveHandle(info.displayName, info.signingKey) : info.displayName;
+  }
+
+  // Looks someone up in friends, friendRequests or onlinePeers by alias, handle or display name.
+  // Display names can be shared, so a display name only counts when one person has it
+  findPerson(name, searchMap) {
+    const needle = name.toLowerCase();
+    const entries = [...searchMap.entries()];
+    const exact = entries.filter(([key, info]) => {
+      const alias = this.friends.get(info.fullname || key)?.alias;
+      return alias?.toLowerCase() === needle || this.handleOf(info).toLowerCase() === needle;
+    });
+    const matches = exact.length > 0 ? exact : entries.filter(([key, info]) => info.displayName.toLowerCase() === needle);
+
+    if (matches.length === 0) return { success: false, message: `"${name}" not found` };
+    if (matches.length > 1) {
+      const handles = matches.map(([key, info]) => this.handleOf(info)).join(', ');
+      return { success: false, ambiguous: true, message: `More than one person is called "${name}", use their handle: ${handles}` };
+    }
+    const [key, info] = matches[0];
+    return { success: true, key, info };
+  }
+
+  findFullnameByDisplayName(displayName, searchMap) {
+    const found = this.findPerson(displayName, searchMap);
+    return found.success ? found.key : null;
+  }
+
+  findPeerIdByDisplayName(displayName) {
+    const found = this.findPerson(displayName, this.onlinePeers);
+    return found.success ? found.key : null;
+  }
+
+  // A nickname only we see, that works anywhere a friend's name does. An empty alias clears it
+  setAlias(name, alias = '') {
+    const found = this.findPerson(name, this.friends);
+    if (!found.success) return found;
+
+    const friend = found.info;
+    alias = alias.trim();
+    if (!alias) {
+      delete friend.alias;
+      this.saveData('friends', this.friends);
+      return { success: true, message: `Removed the alias for ${this.handleOf(friend)}` };
+    }
+
+    const taken = [...this.friends.entries()].some(([fullname, data]) => fullname !== found.key && data.alias?.toLowerCase() === alias.toLowerCase());
+    if (taken) return { success: false, message: `Another friend already goes by "${alias}"` };
+
+    friend.alias = alias;
+    this.saveData('friends', this.friends);
+    return { success: true, message: `${this.handleOf(friend)} is now "${alias}"` };
+  }
+
+  isFriendOnline(fullname) {
+    return [...this.onlinePeers.values()].some(peer => peer.fullname === fullname);
+  }
+
+  getFriends() {
+    return [...this.friends.entries()].map(([fullname, data]) => ({
+      fullname,
+      displayName: data.displayName,
+      handle: this.handleOf(data),
+      alias: data.alias,
+      peerId: data.peerId,
+      online: this.isFriendOnline(fullname),
+      ...this.friendStatus(fullname)
+    }));
+  }
+
+  // What an online friend has set as their status, or when an offline one was last around
+  friendStatus(fullname) {
+    const online = [...this.onlinePeers.values()].find(info => info.fullname === fullname);
+    if (online) return { status: online.status, statusText: online.statusText, lastSeen: online.lastSeen };
+    return { status: 'offline', statusText: '', lastSeen: this.friends.get(fullname)?.lastSeen || null };
+  }
+
+  getFriendRequests() {
+    return [...this.friendRequests.entries()].map(([fullname, data]) => ({
+      fullname,
+      displayName: data.displayName,
+      handle: this.handleOf(data),
+      timestamp: data.timestamp
+    }));
+  }
+
+  // Connected peers, with whatever their presence told us about them
+  getPeers() {
+    return this.node.getPeers().map(peer => {
+      const info = this.onlinePeers.get(peer.toString());
+      const connections = this.node.getConnections(peer);
+      return {
+        peerId: peer.toString(),
+        displayName: info?.displayName,
+        fullname: info?.fullname,
+        handle: info ? this.handleOf(info) : undefined,
+        isFriend: !!info && this.friends.has(info.fullname),
+        transports: [...new Set(connections.map(conn => transportOf(conn.remoteAddr.toString())))]
+      };
+    });
+  }
+
+  // diagnostics
+
+  // Finds someone for /ping and /whois: an online peer by name, handle or alias, then a friend
+  // who may be offline, then the start of a connected peer's ID for peers that never announced
+  findPeer(name) {
+    const online = this.findPerson(name, this.onlinePeers);
+    if (online.success) return { success: true, peerId: online.key, info: online.info };
+    if (online.ambiguous) return online;
+
+    const friend = this.findPerson(name, this.friends);
+    if (friend.success) return { success: true, peerId: friend.info.peerId || null, info: { ...friend.info, fullname: friend.key } };
+    if (friend.ambiguous) return friend;
+
+    const connected = this.node.getPeers().map(peer => peer.toString()).filter(peerId => peerId.startsWith(name));
+    if (connected.length === 1) return { success: true, peerId: connected[0], info: null };
+    return { success: false, message: `"${name}" not found` };
+  }
+
+  // Round trip time in ms with libp2p's ping protocol, dialing them first if we have to
+  async pingPeer(name) {
+    const found = this.findPeer(name);
+    if (!found.success) return found;
+    const label = found.info ? this.handleOf(found.info) : `${found.peerId.slice(0, 16)}...`;
+    if (!found.peerId) return { success: false, message: `Don't know where to find ${label} yet` };
+
+    try {
+      const rtt = await this.node.services.ping.ping(peerIdFromString(found.peerId), { signal: AbortSignal.timeout(PING_TIMEOUT) });
+      return { success: true, message: `Reply from ${label} in ${rtt}ms`, rtt };
+    } catch (err) {
+      return { success: false, message: `No reply from ${label}: ${err.message}` };
+    }
+  }
+
+  // Everything we know about a peer and how we're connected to them
+  async whois(name) {
+    const found = this.findPeer(name);
+    if (!found.success) return found;
+    const { peerId, info } = found;
+    const fullname = info?.fullname;
+    const pubsub = this.node.services.pubsub;
+
+    let known = [];
+    if (peerId) {
+      try {
+        known = (await this.node.peerStore.get(peerIdFromString(peerId))).addresses.map(({ multiaddr }) => multiaddr.toString());
+      } catch (err) {
+        // not in the peer store, we've never been connected
+      }
+    }
+    const connections = peerId ? this.node.getConnections(peerIdFromString(peerId)).map(conn => ({
+      remoteAddr: conn.remoteAddr.toString(),
+      transport: transportOf(conn.remoteAddr.toString()),
+      direction: conn.direction,
+      limited: !!conn.limits,
+      since: new Date(conn.timeline.open).toISOString()
+    })) : [];
+
+    return {
+      success: true,
+      message: info ? `${this.handleOf(info)} (${fullname})` : peerId,
+      peerId,
+      fullname,
+      displayName: info?.displayName,
+      handle: info ? this.handleOf(info) : undefined,
+      isFriend: !!fullname && this.friends.has(fullname),
+      online: !!peerId && this.onlinePeers.has(peerId),
+      multiaddrs: [...new Set([...known, ...(this.addressBook.get(peerId)?.addrs || [])])],
+      connections,
+      mesh: peerId ? pubsub.getTopics().filter(topic => pubsub.getMeshPeers(topic).includes(peerId)).map(topic => this.topicLabel(topic)) : [],
+      lastSeen: this.onlinePeers.get(peerId)?.lastSeen || this.addressBook.get(peerId)?.lastSeen || null
+    };
+  }
+
+  // Group topics read better by group name
+  topicLabel(topic) {
+    const groupId = topic.startsWith(`${GROUP_TOPIC}/`) ? topic.slice(GROUP_TOPIC.length + 1) : null;
+    return groupId && this.groups.has(groupId) ? `${topic} (${this.groups.get(groupId).name})` : topic;
+  }
+
+  // A user accounces their precesnce. heartbeat tells the others how long to wait before
+  // deciding we're gone
+  announcePresence() {
+    this.publishMessage(PRESENCE_TOPIC, {
+      type: 'PRESENCE',
+      peerId: this.peerId,
+      displayName: this.profile.displayName,
+      fullname: this.profile.fullname,
+      addrs: this.getMultiaddrs(),
+      status: this.profile.status || 'online',
+      statusText: this.profile.statusText || '',
+      heartbeat: this.heartbeatInterval
+    });
+  }
+
+  // away/busy/online plus an optional line of text, shown to everyone who sees our presence
+  setStatus(status, text = '') {
+    status = status?.toLowerCase();
+    if (!STATUSES.includes(status)) return { success: false, message: `Status has to be one of ${STATUSES.join(', ')}` };
+    text = text.trim();
+    if (text.length > MAX_STATUS_TEXT) return { success: false, message: `Status text can be at most ${MAX_STATUS_TEXT} characters` };
+
+    this.profile.status = status;
+    this.profile.statusText = text;
+    this.saveProfile();
+    if (this.node) this.announcePresence();
+    return { success: true, message: `Status set to ${status}${text ? ` "${text}"` : ''}` };
+  }
+
+  // Broadcast users online/offline precense
+  handlePresence(peerId, displayName, fullname, signingKey, addrs, { status, statusText, heartbeat } = {}) {
+    if (peerId === this.peerId) return;
+    const isFriend = this.friends.has(fullname);
+    if (isFriend) this.rememberAddresses(peerId, fullname, displayName, addrs);
+    this.addPeerAddresses(peerId, addrs);
+    const lastSeen = new Date().toISOString();
+    status = STATUSES.includes(status) ? status : 'online';
+    statusText = typeof statusText === 'string' ? statusText.slice(0, MAX_STATUS_TEXT) : '';
+    // a huge interval would keep someone who crashed showing as online for days
+    heartbeat = Number.isFinite(heartbeat) && heartbeat > 0 ? Math.min(heartbeat, MAX_HEARTBEAT) : HEARTBEAT_INTERVAL;
+
+    const existing = this.onlinePeers.get(peerId);
+    if (existing) {
+      const changed = existing.status !== status || existing.statusText !== statusText;
+      Object.assign(existing, { lastSeen, status, statusText, heartbeat });
+      if (changed) this.emit('status', { peerId, displayName, fullname, status, statusText, isFriend });
+      return;
+    }
+
+    this.onlinePeers.set(peerId, { displayName, fullname, signingKey, lastSeen, status, statusText, heartbeat });
+    if (isFriend) {
+      const friend = this.friends.get(fullname);
+      friend.peerId = peerId;
+      friend.lastSeen = lastSeen;
+      this.saveData('friends', this.friends);
+    }
+    this.emit('presence', { peerId, displayName, fullname, online: true, isFriend, status, statusText });
+    this.forwardStoredEnvelopes(fullname, peerId, displayName);
+    if (this.deliverFriendRequest(peerId, { displayName, fullname, signingKey })) {
+      this.emit('queueDelivered', { kind: 'friendRequest', count: 1, displayName });
+    }
+
+    // compare group logs with anyone we share a group with, they may have missed changes
+    this.getGroups()
+      .filter(group => this.isParticipant(group, fullname))
+      .forEach(({ groupId }) => this.publishGroupDigest(groupId));
+    this.resumeDownloads(fullname);
+    if (!isFriend) return;
+
+    // Resend queued messages, they stay queued until the friend acks them
+    if (this.offlineMessages.get(fullname)?.length > 0) {
+      const messages = this.offlineMessages.get(fullname);
+      messages.forEach(msg => {
+        msg.messageId = msg.messageId || randomUUID();
+        this.sendDirect(peerId, {
+          type: 'DIRECT_MESSAGE',
+          messageId: msg.messageId,
+          from: this.peerId,
+          fromName: this.profile.displayName,
+          fromFullname: this.profile.fullname,
+          toFullname: fullname,
+          to: peerId,
+          sealed: msg.sealed,
+          timestamp: msg.timestamp
+        });
+      });
+      this.saveData('messages', this.offlineMessages);
+      this.emit('queueDelivered', { kind: 'messages', count: messages.length, displayName });
+    }
+
+    // Queue group msgs
+    if (this.offlineGroupMessages.get(fullname)?.length > 0) {
+      const groupMsgs = this.offlineGroupMessages.get(fullname);
+      groupMsgs.forEach(msg => {
+        msg.messageId = msg.messageId || randomUUID();
+        this.publishMessage(this.groupTopic(msg.groupId), {
+          type: 'GROUP_MESSAGE',
+          messageId: msg.messageId,
+          groupId: msg.groupId,
+          groupName: msg.groupName,
+          from: this.peerId,
+          fromName: msg.fromName,
+          fromFullname: msg.fromFullname,
+          message: msg.message,
+          timestamp: msg.timestamp
+        });
+      });
+      this.saveData('groupmessages', this.offlineGroupMessages);
+      this.emit('queueDelivered', { kind: 'groupMessages', count: groupMsgs.length, displayName });
+    }
+
+    // deliver queued group leave events
+    if (this.offlineGroupLeaves.has(fullname)) {
+      const leaveEvents = this.offlineGroupLeaves.get(fullname);
+      leaveEvents.forEach(event => {
+        // leaves queued before the group log existed don't have a signed op yet
+        if (event.envelope) return this.publishEnvelope(this.groupTopic(event.groupId), event.envelope);
+        this.publishMessage(this.groupTopic(event.groupId), {
+          type: 'GROUP_LEAVE',
+          opId: randomUUID(),
+          clock: 0,
+          groupId: event.groupId,
+          groupName: event.groupName,
+          peerId: this.peerId,
+          peerName: event.peerName,
+          peerFullname: event.peerFullname
+        });
+      });
+      this.offlineGroupLeaves.delete(fullname);
+      this.saveData('groupleaves', this.offlineGroupLeaves);
+      this.emit('queueDelivered', { kind: 'groupLeaves', count: leaveEvents.length, displayName });
+    }
+  }
+
+  // A user sends a friend request. Someone who isn't online is sent it when they next announce
+  // themselves, so a peer ID is enough
+  sendFriendRequest(toPeerId) {
+    if (toPeerId === this.peerId) return { success: false, message: 'You can\'t send yourself a friend request' };
+    const peerInfo = this.onlinePeers.get(toPeerId);
+    if (!peerInfo) {
+      try {
+        peerIdFromString(toPeerId);
+      } catch {
+        return { success: false, message: 'Peer not found or offline' };
+      }
+    }
+    const fullname = peerInfo?.fullname;
+    if (this.friends.has(fullname) || [...this.friends.values()].some(friend => friend.peerId === toPeerId)) {
+      return { success: false, message: 'Already friends with this peer' };
+    }
+    if (peerInfo && this.isBlocked(fullname, peerInfo.signingKey)) return { success: false, message: `You blocked ${peerInfo.displayName}, /unblock them first` };
+    if (this.sentRequests.has(toPeerId) || (peerInfo && this.findSentRequest(fullname))) return { success: false, message: 'Friend request already sent' };
+
+    this.sentRequests.set(toPeerId, { sentAt: new Date().toISOString(), delivered: false });
+    if (!peerInfo) {
+      this.saveData('sentrequests', this.sentRequests);
+      return { success: true, queued: true, message: `${toPeerId.slice(0, 16)}... is offline, the friend request goes out when they show up` };
+    }
+    this.deliverFriendRequest(toPeerId, peerInfo);
+    return { success: true, message: `Friend request sent to ${peerInfo.displayName}` };
+  }
+
+  // Sends a request that hasn't gone out yet, now that we know who's behind the peer ID.
+  // Returns whether it went out
+  deliverFriendRequest(toPeerId, { displayName, fullname, signingKey }) {
+    const request = this.sentRequests.get(toPeerId);
+    if (!request || request.delivered) return false;
+    if (this.friends.has(fullname) || this.isBlocked(fullname, signingKey)) {
+      this.sentRequests.delete(toPeerId);
+      this.saveData('sentrequests', this.sentRequests);
+      return false;
+    }
+
+    Object.assign(request, { displayName, fullname, signingKey, delivered: true });
+    this.saveData('sentrequests', this.sentRequests);
+    this.publishMessage(FRIEND_TOPIC, {
+      type: 'FRIEND_REQUEST',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      publicKey: this.keys.publicKey,
+      to: toPeerId
+    });
+    return true;
+  }
+
+  // Sent requests are kept by peer ID, the account behind it is filled in once they've been seen
+  findSentRequest(fullname) {
+    return [...this.sentRequests.entries()].find(([peerId, request]) => request.fullname === fullname);
+  }
+
+  deleteSentRequest(fullname) {
+    const found = this.findSentRequest(fullname);
+    if (!found) return;
+    this.sentRequests.delete(found[0]);
+    this.saveData('sentrequests', this.sentRequests);
+  }
+
+  getSentRequests() {
+    return [...this.sentRequests.entries()].map(([peerId, request]) => ({
+      peerId,
+      fullname: request.fullname,
+      displayName: request.displayName,
+      handle: request.displayName ? this.handleOf(request) : `${peerId.slice(0, 16)}...`,
+      sentAt: request.sentAt,
+      delivered: request.delivered,
+      expiresAt: new Date(Date.parse(request.sentAt) + FRIEND_REQUEST_TTL).toISOString()
+    }));
+  }
+
+  // Takes back a request by name, or by the start of the peer ID for ones still waiting to go out.
+  // If they already got it they're told to drop it
+  cancelFriendRequest(name) {
+    const named = new Map([...this.sentRequests.entries()].filter(([peerId, request]) => request.displayName));
+    let found = this.findPerson(name, named);
+    if (!found.success && !found.ambiguous) {
+      const byId = [...this.sentRequests.entries()].filter(([peerId]) => peerId.startsWith(name));
+      if (byId.length === 1) found = { success: true, key: byId[0][0], info: byId[0][1] };
+    }
+    if (!found.success) return found.ambiguous ? found : { success: false, message: `No friend request sent to "${name}"` };
+
+    const toPeerId = found.key;
+    const request = found.info;
+    this.sentRequests.delete(toPeerId);
+    this.saveData('sentrequests', this.sentRequests);
+    if (request.delivered && this.node) {
+      this.publishMessage(FRIEND_TOPIC, {
+        type: 'FRIEND_CANCEL',
+        from: this.peerId,
+        fromName: this.profile.displayName,
+        fromFullname: this.profile.fullname,
+        to: toPeerId
+      });
+    }
+    const label = request.displayName ? this.handleOf(request) : `${toPeerId.slice(0, 16)}...`;
+    return { success: true, message: `Cancelled the friend request to ${label}` };
+  }
+
+  handleFriendCancel(fromFullname, signingKey) {
+    const request = this.friendRequests.get(fromFullname);
+    if (!request || request.signingKey !== signingKey) return;
+    this.friendRequests.delete(fromFullname);
+    this.saveData('requests', this.friendRequests);
+  }
+
+  // Requests either way are dropped after FRIEND_REQUEST_TTL, whether or not they were answered
+  pruneFriendRequests() {
+    const cutoff = Date.now() - FRIEND_REQUEST_TTL;
+    const expired = (timestamp) => new Date(timestamp).getTime() <= cutoff;
+    const received = [...this.friendRequests.entries()].filter(([fullname, request]) => expired(request.timestamp));
+    const sent = [...this.sentRequests.entries()].filter(([peerId, request]) => expired(request.sentAt));
+    received.forEach(([fullname]) => this.friendRequests.delete(fullname));
+    sent.forEach(([peerId]) => this.sentRequests.delete(peerId));
+    if (received.length > 0) this.saveData('requests', this.friendRequests);
+    if (sent.length > 0) this.saveData('sentrequests', this.sentRequests);
+  }
+
+  // Broadcast user getting a friend request
+  handleFriendRequest(fromName, fromFullname, publicKey, signingKey) {
+    if (this.isBlocked(fromFullname, signingKey)) return;
+    if (!this.friends.has(fromFullname) && !this.friendRequests.has(fromFullname)) {
+      this.friendRequests.set(fromFullname, { displayName: fromName, publicKey, signingKey, timestamp: new Date().toISOString() });
+      this.saveData('requests', this.friendRequests);
+      this.emit('friendRequest', { displayName: fromName, fullname: fromFullname, handle: deriveHandle(fromName, signingKey) });
+    }
+  }
+
+  // A user accepts a friend request
+  acceptFriendRequest(fromFullname) {
+    if (!this.friendRequests.has(fromFullname)) return { success: false, message: 'No pending request from this peer' };
+
+    const friendData = this.friendRequests.get(fromFullname);
+    const toPeerId = [...this.onlinePeers.entries()].find(([peerId, info]) => info.fullname === fromFullname)?.[0];
+    this.friends.set(fromFullname, {
+      displayName: friendData.displayName,
+      publicKey: friendData.publicKey,
+      signingKey: friendData.signingKey,
+      peerId: toPeerId,
+      addedAt: new Date().toISOString()
+    });
+    this.friendRequests.delete(fromFullname);
+    this.deleteSentRequest(fromFullname);
+    this.saveData('friends', this.friends);
+    this.saveData('requests', this.friendRequests);
+
+    if (toPeerId) {
+      this.publishMessage(FRIEND_TOPIC, {
+        type: 'FRIEND_ACCEPT',
+        from: this.peerId,
+        fromName: this.profile.displayName,
+        fromFullname: this.profile.fullname,
+        publicKey: this.keys.publicKey,
+        to: toPeerId
+      });
+    }
+    return { success: true, message: `You are now friends with ${friendData.displayName}` };
+  }
+
+  // Broadcast user accpeting a firend request
+  // Only counts if we asked them, with the key they had when we did
+  handleFriendAccept(fromName, fromFullname, publicKey, signingKey, peerId) {
+    if (this.isBlocked(fromFullname, signingKey)) return;
+    const [requestKey, request] = this.sentRequests.has(peerId) ? [peerId, this.sentRequests.get(peerId)] : this.findSentRequest(fromFullname) || [];
+    if (!request || (request.signingKey && request.signingKey !== signingKey)) return;
+    if (!this.friends.has(fromFullname)) {
+      this.friends.set(fromFullname, { displayName: fromName, publicKey, signingKey, peerId, addedAt: new Date().toISOString() });
+      this.sentRequests.delete(requestKey);
+      this.saveData('sentrequests', this.sentRequests);
+      this.saveData('friends', this.friends);
+      this.emit('friendAccept', { displayName: fromName, fullname: fromFullname, handle: deriveHandle(fromName, signingKey) });
+    }
+  }
+
+  rejectFriendRequest(fromFullname) {
+    if (!this.friendRequests.has(fromFullname)) return { success: false, message: 'No pending request from this peer' };
+    const friendData = this.friendRequests.get(fromFullname);
+    this.friendRequests.delete(fromFullname);
+    this.saveData('requests', this.friendRequests);
+    return { success: true, message: `Rejected friend request from ${friendData.displayName}` };
+  }
+
+  // Tells them (now, or through store and forward when they're back) and forgets them, along with
+  // anything still queued for them. History stays
+  unfriend(name) {
+    const found = this.findPerson(name, this.friends);
+    if (!found.success) return found.ambiguous ? found : { success: false, message: `Friend "${name}" not found` };
+    this.removeFriend(found.key);
+    return { success: true, message: `Removed ${this.handleOf(found.info)} from your friends` };
+  }
+
+  removeFriend(fullname) {
+    const data = {
+      type: 'UNFRIEND',
+      messageId: randomUUID(),
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      toFullname: fullname
+    };
+    const toPeerId = this.findOnlinePeerId(fullname);
+    if (toPeerId) {
+      this.sendDirect(toPeerId, { ...data, to: toPeerId });
+    } else if (this.node) {
+      this.requestStore([fullname], data.messageId, DIRECT_PROTOCOL, signEnvelope(DIRECT_PROTOCOL, data, this.peerId, this.keys));
+    }
+
+    this.forgetFriend(fullname);
+  }
+
+  handleUnfriend(fromFullname, signingKey) {
+    const friend = this.friends.get(fromFullname);
+    if (!friend || (friend.signingKey && friend.signingKey !== signingKey)) return;
+    this.forgetFriend(fromFullname);
+    this.emit('unfriended', { displayName: friend.displayName, fullname: fromFullname, handle: this.handleOf(friend) });
+  }
+
+  forgetFriend(fullname) {
+    this.friends.delete(fullname);
+    this.deleteSentRequest(fullname);
+    this.offlineMessages.delete(fullname);
+    for (const [peerId, entry] of this.addressBook.entries()) {
+      if (entry.fullname === fullname && !entry.manual) this.addressBook.delete(peerId);
+    }
+    this.saveData('friends', this.friends);
+    this.saveData('messages', this.offlineMessages);
+    this.saveData('addressbook', this.addressBook);
+  }
+
+  // blocking
+
+  // By account name, or by signing key so the same key under another name is still blocked
+  isBlocked(fullname, signingKey) {
+    return this.blocked.has(fullname) || (!!signingKey && [...this.blocked.values()].some(entry => entry.signingKey === signingKey));
+  }
+
+  // Anyone we know of: friends, people who sent us a request and whoever is online.
+  // Blocking a friend unfriends them first
+  block(name) {
+    const known = new Map([
+      ...[...this.onlinePeers.values()].map(info => [info.fullname, info]),
+      ...this.friendRequests.entries(),
+      ...this.friends.entries()
+    ]);
+    const found = this.findPerson(name, known);
+    if (!found.success) return found;
+    const fullname = found.key;
+    if (fullname === this.profile.fullname) return { success: false, message: 'You can\'t block yourself' };
+    if (this.blocked.has(fullname)) return { success: false, message: `${this.handleOf(found.info)} is already blocked` };
+
+    if (this.friends.has(fullname)) this.removeFriend(fullname);
+    if (this.friendRequests.delete(fullname)) this.saveData('requests', this.friendRequests);
+    this.deleteSentRequest(fullname);
+    this.blocked.set(fullname, { displayName: found.info.displayName, signingKey: found.info.signingKey, blockedAt: new Date().toISOString() });
+    this.saveData('blocked', this.blocked);
+    return { success: true, message: `Blocked ${this.handleOf(found.info)}, you won't hear from them anymore` };
+  }
+
+  unblock(name) {
+    const found = this.findPerson(name, this.blocked);
+    if (!found.success) return found.ambiguous ? found : { success: false, message: `"${name}" isn't blocked` };
+    this.blocked.delete(found.key);
+    this.saveData('blocked', this.blocked);
+    return { success: true, message: `Unblocked ${this.handleOf(found.info)}` };
+  }
+
+  getBlocked() {
+    return [...this.blocked.entries()].map(([fullname, entry]) => ({
+      fullname,
+      displayName: entry.displayName,
+      handle: this.handleOf(entry),
+      blockedAt: entry.blockedAt
+    }));
+  }
+
+  // messaging functions
+
+  // A user sends a message
+  sendMessage(toFullname, message) {
+    if (!this.friends.has(toFullname)) return { success: false, message: 'You can only message friends' };
+
+    const friendData = this.friends.get(toFullname);
+    if (!friendData.publicKey) return { success: false, message: `No encryption key for ${friendData.displayName}, keys are exchanged when a friend request is accepted` };
+
+    const toPeerEntry = [...this.onlinePeers.entries()].find(([peerId, info]) => info.fullname === toFullname);
+    const isOnline = !!toPeerEntry;
+    const sealed = sealMessage(message, friendData.publicKey);
+    const timestamp = new Date().toISOString();
+    const messageId = randomUUID();
+
+    const msgData = {
+      type: 'DIRECT_MESSAGE',
+      messageId,
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      toFullname,
+      to: toPeerEntry?.[0] || '',
+      sealed,
+      timestamp
+    };
+    // offline friends still get a signed envelope for someone else to hold
+    const envelope = isOnline
+      ? this.sendDirect(toPeerEntry[0], msgData)
+      : signEnvelope(DIRECT_PROTOCOL, msgData, this.peerId, this.keys);
+    this.recordDirectMessage(toFullname, {
+      messageId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      message,
+      timestamp,
+      status: 'sent'
+    });
+
+    // everything waits in the queue until the friend acks it, in case the publish never reached them
+    if (!this.offlineMessages.has(toFullname)) this.offlineMessages.set(toFullname, []);
+    this.offlineMessages.get(toFullname).push({
+      messageId,
+      from: this.profile.fullname,
+      fromName: this.profile.displayName,
+      sealed,
+      timestamp
+    });
+    this.saveData('messages', this.offlineMessages);
+
+    if (isOnline) return { success: true, message: `Message sent to ${friendData.displayName}`, messageId };
+
+    this.requestStore([toFullname], messageId, DIRECT_PROTOCOL, envelope);
+    return { success: true, message: `Message queued for ${friendData.displayName} (offline)`, messageId };
+  }
+
+  // Broadcast message handling
+  handleDirectMessage(fromName, fromFullname, sealed, timestamp, messageId) {
+    if (this.friends.has(fromFullname)) {
+      const message = openMessage(sealed, this.keys);
+      if (message === null) return;
+
+      // a resend we already have still gets acked, the first ack may have been lost
+      if (!messageId || !this.findHistoryEntry(`dm:${fromFullname}`, messageId)) {
+        this.recordDirectMessage(fromFullname, { messageId, fromName, fromFullname, message, timestamp, read: false });
+        this.emit('message', { messageId, fromName, fromFullname, message, timestamp });
+      }
+      if (messageId) this.sendReceipt('DELIVERED', [messageId], fromFullname);
+    }
+  }
+
+  // Send queued offline messages
+  deliverOfflineMessages() {
+    const messages = this.offlineMessages.get(this.profile.fullname);
+    if (messages?.length > 0) {
+      const opened = messages
+        .map(msg => ({ fromName: msg.fromName, from: msg.from, message: openMessage(msg.sealed, this.keys), timestamp: msg.timestamp }))
+        .filter(msg => msg.message !== null);
+      opened.forEach(msg => this.recordDirectMessage(msg.from, { fromName: msg.fromName, fromFullname: msg.from, message: msg.message, timestamp: msg.timestamp }));
+      this.emit('offlineMessages', { messages: opened });
+      this.offlineMessages.delete(this.profile.fullname);
+      this.saveData('messages', this.offlineMessages);
+    }
+  }
+
+  // Send queued online messages
+  deliverOfflineGroupMessages() {
+    const messages = this.offlineGroupMessages.get(this.profile.fullname);
+    if (messages?.length > 0) {
+      messages.forEach(msg => this.recordGroupMessage(msg.groupId, msg.groupName, {
+        fromName: msg.fromName,
+        fromFullname: msg.fromFullname,
+        message: msg.message,
+        timestamp: msg.timestamp
+      }));
+      this.emit('offlineGroupMessages', { messages });
+      this.offlineGroupMessages.delete(this.profile.fullname);
+      this.saveData('groupmessages', this.offlineGroupMessages);
+    }
+  }
+
+  // Broadcast that a group participant left to other group participants who were offline
+  deliverOfflineGroupLeaves() {
+    const leaveEvents = this.offlineGroupLeaves.get(this.profile.fullname);
+    if (leaveEvents?.length > 0) {
+      const processed = [];
+      leaveEvents.forEach(event => {
+        const group = this.groups.get(event.groupId);
+        if (group) {
+          if (group.base) this.removeParticipant(group.base, event.peerFullname);
+          this.removeParticipant(group, event.peerFullname);
+
+          // cleanup empty ones
+          if (group.participants.length === 0 && group.invitations.length === 0) {
+            this.groups.delete(event.groupId);
+          }
+
+          // only tell them about it if we're still in it
+          if (group.participants.some(p => p.fullname === this.profile.fullname)) {
+            processed.push({ groupId: event.groupId, groupName: event.groupName, peerName: event.peerName, peerFullname: event.peerFullname });
+          }
+        }
+      });
+      this.emit('offlineGroupLeaves', { count: leaveEvents.length, events: processed });
+      this.offlineGroupLeaves.delete(this.profile.fullname);
+      this.saveData('groups', this.groups);
+      this.saveData('groupleaves', this.offlineGroupLeaves);
+    }
+  }
+
+  // group stuff
+  //
+  // A group's participants, invitations, admins and settings aren't edited in place. Every
+  // change is a signed op (GROUP_INVITE, GROUP_JOIN, GROUP_DECLINE, GROUP_LEAVE, GROUP_KICK,
+  // GROUP_ROLE, GROUP_SETTINGS, GROUP_RENAME) kept in group.log, and the state is rebuilt by replaying the
+  // log in (clock, opId) order. Members who have the same ops end up with the same group no
+  // matter what order the ops reached them in, and they swap digests to find missing ones
+
+  isParticipant(group, fullname = this.profile.fullname) {
+    return group.participants.some(p => p.fullname === fullname);
+  }
+
+  isInvited(group, fullname = this.profile.fullname) {
+    return group.invitations.some(i => i.fullname === fullname);
+  }
+
+  // Groups from before roles existed only have their creator as admin
+  getAdmins(group) {
+    return group.admins || [group.creatorFullname];
+  }
+
+  isAdmin(group, fullname = this.profile.fullname) {
+    return this.isParticipant(group, fullname) && this.getAdmins(group).includes(fullname);
+  }
+
+  // invitePolicy is 'everyone' (the default) or 'admins'
+  canInvite(group, fullname = this.profile.fullname) {
+    return this.isParticipant(group, fullname) && (group.invitePolicy !== 'admins' || this.isAdmin(group, fullname));
+  }
+
+  // Same lookup as findPerson, so participants can be named by handle or alias too
+  findParticipant(group, displayName) {
+    const participants = new Map(group.participants.map(p => [p.fullname, {
+      displayName: p.name,
+      signingKey: p.signingKey || (p.fullname === this.profile.fullname ? this.keys.signingPublicKey : this.findSigningKey(p.fullname))
+    }]));
+    const found = this.findPerson(displayName, participants);
+    return found.success ? group.participants.find(p => p.fullname === found.key) : null;
+  }
+
+  // If the last admin goes, whoever has been in the group longest takes over.
+  // Every member runs the same rule so they all end up with the same admin
+  removeParticipant(group, fullname) {
+    group.participants = group.participants.filter(p => p.fullname !== fullname);
+    group.admins = this.getAdmins(group).filter(admin => admin !== fullname);
+    if (group.admins.length === 0 && group.participants.length > 0) group.admins.push(group.participants[0].fullname);
+  }
+
+  shortGroupId(groupId) {
+    return groupId.slice(0, 8);
+  }
+
+  // Matches a group we're in or invited to by name, or by the start of its ID when
+  // names clash. Returns { success, message } like the commands when that doesn't work out
+  findGroup(nameOrId) {
+    const needle = nameOrId.toLowerCase();
+    const mine = [...this.groups.entries()].filter(([groupId, group]) => this.isParticipant(group) || this.isInvited(group));
+    const byName = mine.filter(([groupId, group]) => group.name.toLowerCase() === needle);
+    const matches = byName.length > 0 ? byName : mine.filter(([groupId]) => groupId.toLowerCase().startsWith(needle));
+
+    if (matches.length === 0) return { success: false, message: `Group "${nameOrId}" not found` };
+    if (matches.length > 1) {
+      const choices = matches.map(([groupId, group]) => `${group.name} (${this.shortGroupId(groupId)})`).join(', ');
+      return { success: false, message: `More than one group matches "${nameOrId}", use the start of its ID instead: ${choices}` };
+    }
+    const [groupId, group] = matches[0];
+    return { success: true, groupId, group };
+  }
+
+  findGroupByName(groupName) {
+    const found = this.findGroup(groupName);
+    return found.success ? { groupId: found.groupId, group: found.group } : null;
+  }
+
+  // Groups we're in, or have been invited to
+  getGroups({ invited = false } = {}) {
+    return [...this.groups.entries()]
+      .filter(([groupId, group]) => invited ? this.isInvited(group) : this.isParticipant(group))
+      .map(([groupId, group]) => ({ groupId, ...group }));
+  }
+
+  // group membership log
+
+  // Groups saved before the log existed keep what they had as the starting point
+  migrateGroups() {
+    let migrated = false;
+    this.groups.forEach(group => {
+      if (!group.createdName) {
+        group.createdName = group.name;
+        migrated = true;
+      }
+      if (group.log) return;
+      group.base = {
+        name: group.name,
+        participants: group.participants,
+        invitations: group.invitations,
+        admins: this.getAdmins(group),
+        invitePolicy: group.invitePolicy || 'everyone'
+      };
+      group.log = [];
+      migrated = true;
+    });
+    if (migrated) this.saveData('groups', this.groups);
+  }
+
+  opOf(envelope) {
+    return JSON.parse(envelope.body);
+  }
+
+  // Lamport clock, one more than anything we've seen in the group
+  nextClock(group) {
+    return group.log.reduce((max, envelope) => Math.max(max, this.opOf(envelope).clock || 0), 0) + 1;
+  }
+
+  // The ops nothing else in the log builds on yet. A new op lists these as what it came after
+  groupHeads(group) {
+    const ops = group.log.map(envelope => this.opOf(envelope));
+    const builtOn = new Set(ops.flatMap(op => this.opDeps(op)));
+    return ops.map(op => op.opId).filter(opId => !builtOn.has(opId));
+  }
+
+  opDeps(op) {
+    return Array.isArray(op.after) ? op.after : [];
+  }
+
+  // Whether op knew about the op with opId when it was made, following what it came after
+  sawOp(opsById, op, opId) {
+    const pending = [...this.opDeps(op)];
+    const visited = new Set();
+    while (pending.length > 0) {
+      const next = pending.pop();
+      if (next === opId) return true;
+      if (visited.has(next)) continue;
+      visited.add(next);
+      pending.push(...this.opDeps(opsById.get(next) || {}));
+    }
+    return false;
+  }
+
+  // Takes away what fullname needs for an invite, or with admin too, for an admin op
+  revokesOp(op, fullname, admin) {
+    return (op.type === 'GROUP_KICK' && op.peerFullname === fullname) ||
+      (op.type === 'GROUP_LEAVE' && (op.fromFullname || op.peerFullname) === fullname) ||
+      (admin && op.type === 'GROUP_ROLE' && op.role === 'member' && op.peerFullname === fullname);
+  }
+
+  // An op has to have a later clock than what it came after, and one that needs rights loses to
+  // a kick, demotion or leave of its sender it didn't know about. Otherwise a demoted admin could
+  // sign an op with an old clock and leave the demotion out, and it would replay before it
+  backdated(opsById, revocations, op) {
+    if (this.opDeps(op).some(opId => opsById.has(opId) && !(opsById.get(opId).clock < op.clock))) return true;
+    const admin = ADMIN_OP_TYPES.includes(op.type);
+    if (!admin && op.type !== 'GROUP_INVITE') return false;
+    const actor = op.fromFullname || op.peerFullname;
+    return revocations.some(other => this.revokesOp(other, actor, admin) && !this.sawOp(opsById, op, other.opId) && !this.sawOp(opsById, other, op.opId));
+  }
+
+  // Sorted op IDs and a hash of them, two members with the same hash have the same log
+  groupDigest(group) {
+    const opIds = group.log.map(envelope => this.opOf(envelope).opId).sort();
+    return { version: opIds.length, hash: createHash('sha256').update(opIds.join('\n')).digest('hex'), opIds };
+  }
+
+  // Participants and invitations carry the signing key they were invited or created with, and an op
+  // only counts if it's signed with the key on record for whoever it claims to be from. Otherwise a
+  // member could sign an op as an admin that members who don't know the admin's key would take.
+  // Groups and invites from before keys were recorded have none to check against
+  signedAsMember(group, fullname, signingKey) {
+    const member = [...group.participants, ...group.invitations].find(p => p.fullname === fullname);
+    return !member?.signingKey || member.signingKey === signingKey;
+  }
+
+  // Applies one op to the state if it's allowed at that point, returns whether it was.
+  // signingKey is the key the op's envelope was signed with
+  applyGroupOp(group, op, signingKey) {
+    const actor = op.fromFullname || op.peerFullname;
+    if (!this.signedAsMember(group, actor, signingKey)) return false;
+
+    if (op.type === 'GROUP_INVITE') {
+      if (!this.canInvite(group, actor) || this.isParticipant(group, op.toFullname) || this.isInvited(group, op.toFullname)) return false;
+      group.invitations.push({ name: op.toName, fullname: op.toFullname, signingKey: op.toSigningKey, publicKey: op.toPublicKey });
+    } else if (op.type === 'GROUP_JOIN') {
+      const invitation = group.invitations.find(i => i.fullname === actor);
+      if (!invitation) return false;
+      group.invitations = group.invitations.filter(i => i.fullname !== actor);
+      group.participants.push({ name: op.peerName, fullname: actor, signingKey, publicKey: invitation.publicKey });
+    } else if (op.type === 'GROUP_DECLINE') {
+      if (!this.isInvited(group, actor)) return false;
+      group.invitations = group.invitations.filter(i => i.fullname !== actor);
+    } else if (op.type === 'GROUP_LEAVE') {
+      if (!this.isParticipant(group, actor)) return false;
+      this.removeParticipant(group, actor);
+    } else if (op.type === 'GROUP_KICK') {
+      if (!this.isAdmin(group, actor) || !this.isParticipant(group, op.peerFullname) || this.isAdmin(group, op.peerFullname)) return false;
+      this.removeParticipant(group, op.peerFullname);
+    } else if (op.type === 'GROUP_ROLE') {
+      if (!this.isAdmin(group, actor) || !this.isParticipant(group, op.peerFullname) || !['admin', 'member'].includes(op.role)) return false;
+      if (this.checkRoleChange(group, { name: op.peerName, fullname: op.peerFullname }, op.role)) return false;
+      this.applyRole(group, op.peerFullname, op.role);
+    } else if (op.type === 'GROUP_SETTINGS') {
+      if (!this.isAdmin(group, actor) || !['everyone', 'admins'].includes(op.invitePolicy)) return false;
+      group.invitePolicy = op.invitePolicy;
+    } else if (op.type === 'GROUP_RENAME') {
+      if (!this.isAdmin(group, actor) || typeof op.name !== 'string' || !op.name.trim()) return false;
+      group.name = op.name.trim();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // Replays the log from the starting state, returns the IDs of the ops that took effect.
+  // The first pass finds which kicks, demotions and leaves really happened, the second
+  // drops the ops that were made without knowing about them
+  rebuildGroup(group) {
+    const ops = group.log
+      .map(envelope => ({ op: this.opOf(envelope), signingKey: envelope.signingKey }))
+      .sort((a, b) => (a.op.clock - b.op.clock) || (a.op.opId < b.op.opId ? -1 : 1));
+    const opsById = new Map(ops.map(({ op }) => [op.opId, op]));
+
+    const firstPass = this.replayGroup(group, ops, (op) => !this.backdated(opsById, [], op));
+    const revocations = ops.map(({ op }) => op).filter(op => firstPass.has(op.opId));
+    return this.replayGroup(group, ops, (op) => !this.backdated(opsById, revocations, op));
+  }
+
+  replayGroup(group, ops, allowed) {
+    const base = group.base || {
+      name: group.createdName,
+      participants: [{ name: group.creatorName, fullname: group.creatorFullname, signingKey: group.creatorSigningKey, publicKey: group.creatorPublicKey }],
+      invitations: [],
+      admins: [group.creatorFullname],
+      invitePolicy: 'everyone'
+    };
+    Object.assign(group, structuredClone(base));
+
+    const applied = new Set();
+    ops.forEach(({ op, signingKey }) => {
+      if (allowed(op) && this.applyGroupOp(group, op, signingKey)) applied.add(op.opId);
+    });
+    return applied;
+  }
+
+  // Adds ops we haven't seen, rebuilds the group and reports the ones that did something
+  mergeGroupOps(groupId, envelopes) {
+    const group = this.groups.get(groupId);
+    if (!group || !Array.isArray(envelopes)) return;
+
+    const known = new Set(group.log.map(envelope => this.opOf(envelope).opId));
+    const added = [];
+    envelopes.forEach(envelope => {
+      const verified = this.verifyEnvelope(this.groupTopic(groupId), envelope, envelope?.peerId);
+      const op = verified?.message;
+      if (!op?.opId || op.groupId !== groupId || !Number.isInteger(op.clock) || known.has(op.opId)) return;
+      known.add(op.opId);
+      group.log.push(envelope);
+      added.push(op);
+    });
+    if (added.length === 0) return;
+
+    const applied = this.rebuildGroup(group);
+    this.updateGroupSubscription(groupId, group);
+    if (group.participants.length === 0 && group.invitations.length === 0) this.groups.delete(groupId);
+    this.saveData('groups', this.groups);
+
+    // past messages show up under the group's new name
+    if (this.history.has(`group:${groupId}`)) {
+      this.history.get(`group:${groupId}`).name = group.name;
+      this.saveData('history', this.history);
+    }
+
+    added
+      .filter(op => applied.has(op.opId) && (op.fromFullname || op.peerFullname) !== this.profile.fullname)
+      .forEach(op => this.emitGroupOp(groupId, group, op));
+  }
+
+  emitGroupOp(groupId, group, op) {
+    const groupName = group.name;
+    if (op.type === 'GROUP_INVITE' && op.toFullname === this.profile.fullname) {
+      if (this.isBlocked(op.fromFullname)) return;
+      this.emit('groupInvite', { groupId, groupName, fromName: op.fromName, fromFullname: op.fromFullname });
+    } else if (op.type === 'GROUP_KICK' && op.peerFullname === this.profile.fullname) {
+      this.emit('groupKick', { groupId, groupName, peerName: op.peerName, peerFullname: op.peerFullname, byName: op.fromName, wasMe: true });
+    } else if (!this.isParticipant(group)) {
+      // only members hear about what goes on in a group
+    } else if (op.type === 'GROUP_JOIN') {
+      this.emit('groupJoin', { groupId, groupName, peerName: op.peerName, peerFullname: op.peerFullname });
+    } else if (op.type === 'GROUP_LEAVE') {
+      this.emit('groupLeave', { groupId, groupName, peerName: op.peerName, peerFullname: op.peerFullname });
+    } else if (op.type === 'GROUP_KICK') {
+      this.emit('groupKick', { groupId, groupName, peerName: op.peerName, peerFullname: op.peerFullname, byName: op.fromName, wasMe: false });
+    } else if (op.type === 'GROUP_ROLE') {
+      this.emit('groupRole', { groupId, groupName, peerName: op.peerName, peerFullname: op.peerFullname, role: op.role, byName: op.fromName });
+    } else if (op.type === 'GROUP_SETTINGS') {
+      this.emit('groupSettings', { groupId, groupName, invitePolicy: op.invitePolicy, byName: op.fromName });
+    } else if (op.type === 'GROUP_RENAME') {
+      this.emit('groupRename', { groupId, groupName, oldName: op.oldName, byName: op.fromName });
+    }
+  }
+
+  // We listen on a group's topic exactly while we're a participant
+  updateGroupSubscription(groupId, group) {
+    if (!this.node) return;
+    const topic = this.groupTopic(groupId);
+    const subscribed = this.node.services.pubsub.getTopics().includes(topic);
+    if (this.isParticipant(group) && !subscribed) this.node.services.pubsub.subscribe(topic);
+    else if (!this.isParticipant(group) && subscribed) this.node.services.pubsub.unsubscribe(topic);
+  }
+
+  // Signs a change, applies it here and sends it to everyone on the group's topic
+  publishGroupOp(groupId, group, data) {
+    const envelope = this.publishMessage(this.groupTopic(groupId), {
+      ...data,
+      opId: randomUUID(),
+      clock: this.nextClock(group),
+      after: this.groupHeads(group),
+      groupId,
+      groupName: group.name,
+      timestamp: new Date().toISOString()
+    });
+    this.mergeGroupOps(groupId, [envelope]);
+    return envelope;
+  }
+
+  publishGroupDigest(groupId) {
+    const group = this.groups.get(groupId);
+    if (!group || !this.isParticipant(group)) return;
+
+    this.publishMessage(this.groupTopic(groupId), {
+      type: 'GROUP_DIGEST',
+      groupId,
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      ...this.groupDigest(group)
+    });
+  }
+
+  // Members and invitees, or someone the log says used to be one, signing with the key they had.
+  // Only they get to ask for the log
+  memberOfRecord(group, fullname, signingKey) {
+    if (this.isParticipant(group, fullname) || this.isInvited(group, fullname)) return this.signedAsMember(group, fullname, signingKey);
+    return group.log.some(envelope => {
+      const op = this.opOf(envelope);
+      return ((op.fromFullname || op.peerFullname) === fullname && envelope.signingKey === signingKey) ||
+        (op.type === 'GROUP_INVITE' && op.toFullname === fullname && op.toSigningKey === signingKey);
+    });
+  }
+
+  // Someone told us what they have. Send them what they're missing, and if they have
+  // ops we don't, send our own digest so they do the same for us
+  handleGroupDigest(groupId, hash, opIds, fromPeerId, fromFullname, signingKey) {
+    const group = this.groups.get(groupId);
+    if (!group || !Array.isArray(opIds) || !this.memberOfRecord(group, fromFullname, signingKey)) return;
+
+    const mine = this.groupDigest(group);
+    if (hash === mine.hash) return;
+
+    const missing = group.log.filter(envelope => !opIds.includes(this.opOf(envelope).opId));
+    if (missing.length > 0) this.sendGroupLog(fromPeerId, fromFullname, groupId, group, missing);
+    if (opIds.some(opId => !mine.opIds.includes(opId))) this.publishGroupDigest(groupId);
+  }
+
+  sendGroupLog(toPeerId, toFullname, groupId, group, ops) {
+    this.sendDirect(toPeerId, {
+      type: 'GROUP_LOG',
+      groupId,
+      groupName: group.name,
+      createdName: group.createdName,
+      creatorName: group.creatorName,
+      creatorFullname: group.creatorFullname,
+      creatorSigningKey: group.creatorSigningKey,
+      creatorPublicKey: group.creatorPublicKey,
+      base: group.base,
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      toFullname,
+      ops
+    });
+  }
+
+  // Ops sent straight to us. For a group we don't know yet this is an invite, and we only
+  // take it if the log really has a friend inviting us. The starting state is whatever the
+  // creator's key says, a base is only for groups from before the log and only the creator
+  // can hand us one, anyone else could use it to make themselves admin
+  handleGroupLog(groupId, details, ops, signingKey) {
+    if (!Array.isArray(ops)) return;
+
+    if (!this.groups.has(groupId)) {
+      const invite = ops
+        .map(envelope => this.verifyEnvelope(this.groupTopic(groupId), envelope, envelope?.peerId)?.message)
+        .find(op => op?.type === 'GROUP_INVITE' && op.toFullname === this.profile.fullname);
+      if (!invite || !this.friends.has(invite.fromFullname) || this.isBlocked(invite.fromFullname)) return;
+
+      const creatorKey = this.friends.get(details.creatorFullname)?.signingKey;
+      if (creatorKey && details.creatorSigningKey && creatorKey !== details.creatorSigningKey) return;
+      const fromCreator = details.fromFullname === details.creatorFullname && creatorKey === signingKey;
+
+      this.groups.set(groupId, {
+        name: details.groupName,
+        createdName: details.createdName || details.groupName,
+        creatorName: details.creatorName,
+        creatorFullname: details.creatorFullname,
+        creatorSigningKey: details.creatorSigningKey,
+        creatorPublicKey: details.creatorPublicKey,
+        participants: [],
+        invitations: [],
+        ...(details.base && fromCreator ? { base: details.base } : {}),
+        log: []
+      });
+    }
+    this.mergeGroupOps(groupId, ops);
+  }
+
+  createGroup(groupName) {
+    // Prevent creating group with same name
+    for (const group of this.groups.values()) {
+      if (group.name.toLowerCase() === groupName.toLowerCase() && this.isParticipant(group)) {
+        return { success: false, message: `You already have a group named "${groupName}"` };
+      }
+    }
+
+    const groupId = randomUUID();
+    const group = {
+      name: groupName,
+      createdName: groupName,
+      creatorName: this.profile.displayName,
+      creatorFullname: this.profile.fullname,
+      creatorSigningKey: this.keys.signingPublicKey,
+      creatorPublicKey: this.keys.publicKey,
+      log: []
+    };
+    this.rebuildGroup(group);
+    this.groups.set(groupId, group);
+    this.saveData('groups', this.groups);
+    this.updateGroupSubscription(groupId, group);
+    return { success: true, message: `Group "${groupName}" created!` };
+  }
+
+  inviteToGroup(groupName, displayName) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isParticipant(group)) return { success: false, message: 'You are not a participant of this group' };
+    if (!this.canInvite(group)) return { success: false, message: 'Only admins can invite to this group' };
+
+    const person = this.findPerson(displayName, this.onlinePeers);
+    if (!person.success) return person.ambiguous ? person : { success: false, message: `Peer "${displayName}" not found or offline` };
+
+    const toPeerId = person.key;
+    const peerInfo = person.info;
+    if (!this.friends.has(peerInfo.fullname)) return { success: false, message: 'You can only invite friends' };
+    if (this.isParticipant(group, peerInfo.fullname)) return { success: false, message: 'User is already a participant' };
+    if (this.isInvited(group, peerInfo.fullname)) return { success: false, message: 'User already has a pending invitation' };
+
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_INVITE',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      to: toPeerId,
+      toName: peerInfo.displayName,
+      toFullname: peerInfo.fullname,
+      toSigningKey: this.friends.get(peerInfo.fullname).signingKey,
+      toPublicKey: this.friends.get(peerInfo.fullname).publicKey
+    });
+    // the invitee isn't on the group's topic yet, so they get the whole log directly
+    this.sendGroupLog(toPeerId, peerInfo.fullname, groupId, group, group.log);
+
+    return { success: true, message: `Invitation sent to ${peerInfo.displayName}` };
+  }
+
+  acceptGroupInvite(groupName) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isInvited(group)) return { success: false, message: 'No invitation found' };
+
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_JOIN',
+      peerId: this.peerId,
+      peerName: this.profile.displayName,
+      peerFullname: this.profile.fullname
+    });
+    // catch up on anything that happened since the invite was sent
+    this.publishGroupDigest(groupId);
+
+    return { success: true, message: `Joined group "${group.name}"` };
+  }
+
+  rejectGroupInvite(groupName) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isInvited(group)) return { success: false, message: 'No invitation found' };
+
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_DECLINE',
+      peerId: this.peerId,
+      peerName: this.profile.displayName,
+      peerFullname: this.profile.fullname
+    });
+
+    return { success: true, message: 'Invitation rejected' };
+  }
+
+  // User leaves a group
+  leaveGroup(groupName) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isParticipant(group)) return { success: false, message: 'You are not in this group' };
+
+    const envelope = this.publishGroupOp(groupId, group, {
+      type: 'GROUP_LEAVE',
+      peerId: this.peerId,
+      peerName: this.profile.displayName,
+      peerFullname: this.profile.fullname
+    });
+
+    // We're off the group's topic now so we won't be around for digests. Hold on to the
+    // leave and hand it to offline participants ourselves when they show up
+    group.participants.forEach(participant => {
+      if (!this.isFriendOnline(participant.fullname) && participant.fullname) {
+        if (!this.offlineGroupLeaves.has(participant.fullname)) {
+          this.offlineGroupLeaves.set(participant.fullname, []);
+        }
+        this.offlineGroupLeaves.get(participant.fullname).push({
+          groupId,
+          groupName: group.name,
+          peerId: this.peerId,
+          peerName: this.profile.displayName,
+          peerFullname: this.profile.fullname,
+          envelope
+        });
+      }
+    });
+
+    this.saveData('groupleaves', this.offlineGroupLeaves);
+
+    return { success: true, message: `Left group "${group.name}"` };
+  }
+
+  // admin actions
+
+  kickFromGroup(groupName, displayName) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isAdmin(group)) return { success: false, message: 'Only admins can kick people' };
+
+    const target = this.findParticipant(group, displayName);
+    if (!target) return { success: false, message: `${displayName} is not in "${group.name}"` };
+    if (target.fullname === this.profile.fullname) return { success: false, message: 'Use /leavegroup to leave a group' };
+    if (this.isAdmin(group, target.fullname)) return { success: false, message: `${target.name} is an admin, demote them first` };
+
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_KICK',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      peerName: target.name,
+      peerFullname: target.fullname
+    });
+
+    return { success: true, message: `Kicked ${target.name} from "${group.name}"` };
+  }
+
+  // role is 'admin' or 'member'
+  setGroupRole(groupName, displayName, role) {
+    if (!['admin', 'member'].includes(role)) return { success: false, message: 'Role must be admin or member' };
+
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isAdmin(group)) return { success: false, message: 'Only admins can change roles' };
+
+    const target = this.findParticipant(group, displayName);
+    if (!target) return { success: false, message: `${displayName} is not in "${group.name}"` };
+
+    const problem = this.checkRoleChange(group, target, role);
+    if (problem) return { success: false, message: problem };
+
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_ROLE',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      peerName: target.name,
+      peerFullname: target.fullname,
+      role
+    });
+
+    return { success: true, message: role === 'admin' ? `${target.name} is now an admin of "${group.name}"` : `${target.name} is no longer an admin of "${group.name}"` };
+  }
+
+  // Returns why a role change isn't allowed, or null. Both ends check the same rules
+  checkRoleChange(group, target, role) {
+    const isAdmin = this.isAdmin(group, target.fullname);
+    if (role === 'admin' && isAdmin) return `${target.name} is already an admin`;
+    if (role === 'member' && !isAdmin) return `${target.name} is not an admin`;
+    if (role === 'member' && target.fullname === group.creatorFullname) return 'The group creator can\'t be demoted';
+    if (role === 'member' && this.getAdmins(group).length === 1) return 'A group needs at least one admin';
+    return null;
+  }
+
+  applyRole(group, fullname, role) {
+    const admins = this.getAdmins(group).filter(admin => admin !== fullname);
+    group.admins = role === 'admin' ? [...admins, fullname] : admins;
+  }
+
+  // policy is 'everyone' or 'admins'
+  setInvitePolicy(groupName, policy) {
+    if (!['everyone', 'admins'].includes(policy)) return { success: false, message: 'Invite policy must be everyone or admins' };
+
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isAdmin(group)) return { success: false, message: 'Only admins can change who may invite' };
+
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_SETTINGS',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      invitePolicy: policy
+    });
+
+    return { success: true, message: policy === 'admins' ? `Only admins can invite to "${group.name}" now` : `Everyone in "${group.name}" can invite now` };
+  }
+
+  renameGroup(groupName, newName) {
+    if (!newName?.trim()) return { success: false, message: 'The new name can\'t be empty' };
+
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isAdmin(group)) return { success: false, message: 'Only admins can rename a group' };
+
+    const oldName = group.name;
+    this.publishGroupOp(groupId, group, {
+      type: 'GROUP_RENAME',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      oldName,
+      name: newName.trim()
+    });
+
+    return { success: true, message: `Renamed "${oldName}" to "${group.name}"` };
+  }
+
+  sendGroupMessage(groupName, message) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isParticipant(group)) return { success: false, message: 'You are not a participant of this group' };
+
+    const msgData = {
+      type: 'GROUP_MESSAGE',
+      messageId: randomUUID(),
+      groupId,
+      groupName: group.name,
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    // Send to all online participants
+    this.publishMessage(this.groupTopic(groupId), msgData);
+    const recipients = group.participants.filter(p => p.fullname && p.fullname !== this.profile.fullname);
+    this.recordGroupMessage(groupId, group.name, {
+      messageId: msgData.messageId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      message,
+      timestamp: msgData.timestamp,
+      recipients: recipients.length,
+      deliveredTo: [],
+      readBy: []
+    });
+
+    // queue it for everyone until they ack it, offline people get it when they come back
+    recipients.forEach(participant => {
+      if (!this.offlineGroupMessages.has(participant.fullname)) {
+        this.offlineGroupMessages.set(participant.fullname, []);
+      }
+      this.offlineGroupMessages.get(participant.fullname).push({
+        messageId: msgData.messageId,
+        groupId,
+        groupName: group.name,
+        fromFullname: this.profile.fullname,
+        fromName: this.profile.displayName,
+        message,
+        timestamp: msgData.timestamp
+      });
+    });
+
+    this.saveData('groupmessages', this.offlineGroupMessages);
+
+    // someone else holds a copy for anyone offline, sealed to them so the holder can't read it
+    recipients.filter(p => !this.isFriendOnline(p.fullname)).forEach(participant => {
+      const publicKey = participant.publicKey || this.friends.get(participant.fullname)?.publicKey;
+      if (!publicKey) return;
+      const sealedData = {
+        type: 'GROUP_MESSAGE',
+        messageId: msgData.messageId,
+        groupId,
+        from: this.peerId,
+        fromName: this.profile.displayName,
+        fromFullname: this.profile.fullname,
+        toFullname: participant.fullname,
+        sealed: sealMessage(message, publicKey),
+        timestamp: msgData.timestamp
+      };
+      this.requestStore([participant.fullname], msgData.messageId, DIRECT_PROTOCOL, signEnvelope(DIRECT_PROTOCOL, sealedData, this.peerId, this.keys));
+    });
+    return { success: true, message: `Message sent to "${group.name}"`, messageId: msgData.messageId };
+  }
+
+  handleGroupMessage(groupId, fromName, message, fromFullname, timestamp, messageId) {
+    const group = this.groups.get(groupId);
+    // anyone who was kicked or never joined is ignored
+    if (group && this.isParticipant(group) && this.isParticipant(group, fromFullname) && fromFullname !== this.profile.fullname) {
+      if (!messageId || !this.findHistoryEntry(`group:${groupId}`, messageId)) {
+        this.recordGroupMessage(groupId, group.name, { messageId, fromName, fromFullname, message, timestamp, read: false });
+        this.emit('groupMessage', { messageId, groupId, groupName: group.name, fromName, fromFullname, message, timestamp });
+      }
+      if (messageId) this.sendReceipt('DELIVERED', [messageId], fromFullname, groupId);
+    }
+  }
+
+  // receipts
+
+  // DM receipts go straight to the sender, group ones on the group's topic
+  sendReceipt(type, messageIds, toFullname, groupId) {
+    const receipt = {
+      type,
+      messageIds,
+      groupId,
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      toFullname
+    };
+    if (groupId) return this.publishMessage(this.groupTopic(groupId), receipt);
+
+    // their presence can arrive after their message, so fall back to the peer we know for the friend
+    const toPeerId = [...this.onlinePeers.entries()].find(([peerId, info]) => info.fullname === toFullname)?.[0] ||
+      this.friends.get(toFullname)?.peerId;
+    if (toPeerId && this.node.getConnections(peerIdFromString(toPeerId)).length > 0) this.sendDirect(toPeerId, receipt);
+  }
+
+  // An ack for messages we sent, only now do they come out of the offline queues
+  handleReceipt(type, messageIds, fromName, fromFullname, groupId) {
+    if (!Array.isArray(messageIds)) return;
+
+    const conversation = this.history.get(groupId ? `group:${groupId}` : `dm:${fromFullname}`);
+    const queues = groupId ? this.offlineGroupMessages : this.offlineMessages;
+    const status = type === 'READ' ? 'read' : 'delivered';
+    const updated = [];
+
+    messageIds.forEach(messageId => {
+      const entry = conversation?.messages.find(msg => msg.messageId === messageId && msg.fromFullname === this.profile.fullname);
+      if (!entry) return;
+
+      if (groupId) {
+        if (!entry.deliveredTo.includes(fromFullname)) entry.deliveredTo.push(fromFullname);
+        if (status === 'read' && !entry.readBy.includes(fromFullname)) entry.readBy.push(fromFullname);
+      } else if (entry.status !== 'read') {
+        entry.status = status;
+      }
+      updated.push(messageId);
+    });
+
+    if (queues.has(fromFullname)) {
+      const remaining = queues.get(fromFullname).filter(msg => !messageIds.includes(msg.messageId));
+      if (remaining.length > 0) queues.set(fromFullname, remaining);
+      else queues.delete(fromFullname);
+      this.saveData(groupId ? 'groupmessages' : 'messages', queues);
+    }
+
+    if (updated.length > 0) {
+      this.saveData('history', this.history);
+      this.emit('receipt', { status, messageIds: updated, fromName, fromFullname, groupId });
+    }
+  }
+
+  // Tell the senders we've read everything in a conversation, the app decides when that is
+  markRead(name) {
+    const conversation = this.findConversation(name);
+    if (!conversation) return { success: false, message: `No history with "${name}"` };
+
+    const unread = conversation.messages.filter(msg => msg.read === false);
+    if (unread.length === 0) return { success: true, message: 'Nothing new to mark as read' };
+
+    const groupId = conversation.type === 'group' ? conversation.id.slice('group:'.length) : undefined;
+    const bySender = new Map();
+    unread.forEach(msg => {
+      msg.read = true;
+      if (!msg.messageId) return;
+      if (!bySender.has(msg.fromFullname)) bySender.set(msg.fromFullname, []);
+      bySender.get(msg.fromFullname).push(msg.messageId);
+    });
+    bySender.forEach((messageIds, fromFullname) => this.sendReceipt('READ', messageIds, fromFullname, groupId));
+    this.saveData('history', this.history);
+
+    return { success: true, message: `Marked ${unread.length} message(s) as read` };
+  }
+
+  // message history
+
+  // Every DM and group message we send or receive, keyed by conversation
+  recordHistory(conversationId, type, name, entry) {
+    if (!this.history.has(conversationId)) this.history.set(conversationId, { type, name, messages: [] });
+    const conversation = this.history.get(conversationId);
+    conversation.id = conversationId;
+    conversation.name = name;
+    conversation.messages.push(entry);
+    this.saveData('history', this.history);
+  }
+
+  recordDirectMessage(friendFullname, entry) {
+    const name = this.friends.get(friendFullname)?.displayName || entry.fromName;
+    this.recordHistory(`dm:${friendFullname}`, 'dm', name, entry);
+  }
+
+  recordGroupMessage(groupId, groupName, entry) {
+    this.recordHistory(`group:${groupId}`, 'group', groupName, entry);
+  }
+
+  findHistoryEntry(conversationId, messageId) {
+    return this.history.get(conversationId)?.messages.find(msg => msg.messageId === messageId) || null;
+  }
+
+  // Friends are matched by display name first, then groups by name or ID
+  findConversation(name) {
+    const friendFullname = this.findFullnameByDisplayName(name, this.friends);
+    if (friendFullname && this.history.has(`dm:${friendFullname}`)) return this.history.get(`dm:${friendFullname}`);
+
+    for (const conversation of this.history.values()) {
+      if (conversation.name.toLowerCase() === name.toLowerCase()) return conversation;
+    }
+
+    // the start of a group ID works too
+    const found = this.findGroup(name);
+    return found.success ? this.history.get(`group:${found.groupId}`) || null : null;
+  }
+
+  // Page 1 is the most recent messages, oldest first within the page
+  getHistory(name, page = 1) {
+    const conversation = this.findConversation(name);
+    if (!conversation) return { success: false, message: `No history with "${name}"` };
+
+    const pages = Math.max(1, Math.ceil(conversation.messages.length / HISTORY_PAGE_SIZE));
+    if (!Number.isInteger(page) || page < 1 || page > pages) return { success: false, message: `Page must be between 1 and ${pages}` };
+
+    const end = conversation.messages.length - (page - 1) * HISTORY_PAGE_SIZE;
+    return {
+      success: true,
+      message: `History with "${conversation.name}" (page ${page} of ${pages})`,
+      type: conversation.type,
+      name: conversation.name,
+      page,
+      pages,
+      messages: conversation.messages.slice(Math.max(0, end - HISTORY_PAGE_SIZE), end)
+    };
+  }
+
+  searchHistory(text) {
+    const needle = text.toLowerCase();
+    const results = [];
+    for (const conversation of this.history.values()) {
+      conversation.messages
+        .filter(entry => entry.message.toLowerCase().includes(needle))
+        .forEach(entry => results.push({ type: conversation.type, name: conversation.name, ...entry }));
+    }
+    return results.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // store and forward
+
+  // Ask someone online to hold a signed envelope for people who are offline right now. It goes
+  // straight to our online friends and whoever shares a group with the recipients, nobody else
+  // sees who is writing to whom
+  requestStore(toFullnames, messageId, topic, envelope) {
+    [...this.onlinePeers.entries()]
+      .filter(([peerId, info]) => !toFullnames.includes(info.fullname) && toFullnames.some(fullname => this.canHoldFor(info.fullname, fullname)))
+      .forEach(([peerId, info]) => this.sendDirect(peerId, {
+        type: 'STORE',
+        from: this.peerId,
+        fromName: this.profile.displayName,
+        fromFullname: this.profile.fullname,
+        toFullname: info.fullname,
+        to: peerId,
+        toFullnames,
+        messageId,
+        topic,
+        envelope
+      }));
+  }
+
+  canHoldFor(holder, recipient) {
+    return this.friends.has(holder) ||
+      [...this.groups.values()].some(group => this.isParticipant(group) && this.isParticipant(group, holder) && this.isParticipant(group, recipient));
+  }
+
+  // We only hold envelopes for our friends and people we share a group with
+  knowsRecipient(fullname) {
+    return this.friends.has(fullname) ||
+      [...this.groups.values()].some(group => this.isParticipant(group) && this.isParticipant(group, fullname));
+  }
+
+  // Older nodes signed DMs for MESSAGE_TOPIC and group messages for GROUP_TOPIC
+  isStorableTopic(topic) {
+    return [DIRECT_PROTOCOL, MESSAGE_TOPIC, GROUP_TOPIC].includes(topic) || topic?.startsWith(`${GROUP_TOPIC}/`);
+  }
+
+  handleStore(toFullnames, messageId, topic, envelope) {
+    if (!Array.isArray(toFullnames) || !messageId || !this.isStorableTopic(topic)) return;
+    if (!envelope || !verifySignature(topic, envelope)) return;
+
+    let stored = false;
+    toFullnames.forEach(fullname => {
+      if (fullname === this.profile.fullname || !this.knowsRecipient(fullname) || this.isFriendOnline(fullname)) return;
+
+      if (!this.storedEnvelopes.has(fullname)) this.storedEnvelopes.set(fullname, []);
+      const held = this.storedEnvelopes.get(fullname);
+      if (held.some(item => item.messageId === messageId)) return;
+
+      held.push({ messageId, topic, envelope, storedAt: new Date().toISOString() });
+      if (held.length > MAX_STORED_PER_RECIPIENT) held.shift();
+      stored = true;
+    });
+    if (stored) this.saveData('stored', this.storedEnvelopes);
+  }
+
+  pruneStoredEnvelopes() {
+    const cutoff = Date.now() - STORED_ENVELOPE_TTL;
+    for (const [fullname, held] of this.storedEnvelopes.entries()) {
+      const fresh = held.filter(item => new Date(item.storedAt).getTime() > cutoff);
+      if (fresh.length > 0) this.storedEnvelopes.set(fullname, fresh);
+      else this.storedEnvelopes.delete(fullname);
+    }
+  }
+
+  // Hand everything we've been holding to someone who just showed up
+  forwardStoredEnvelopes(fullname, peerId, displayName) {
+    this.pruneStoredEnvelopes();
+    const held = this.storedEnvelopes.get(fullname);
+    if (!held?.length) return;
+
+    this.sendDirect(peerId, {
+      type: 'FORWARD',
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname,
+      toFullname: fullname,
+      to: peerId,
+      envelopes: held.map(({ topic, envelope }) => ({ topic, envelope }))
+    });
+    this.storedEnvelopes.delete(fullname);
+    this.saveData('stored', this.storedEnvelopes);
+    this.emit('forwarded', { toFullname: fullname, displayName, count: held.length });
+  }
+
+  // Envelopes someone held for us, the original sender's signature still has to check out.
+  // The message handlers skip anything we already got by message ID
+  handleForward(envelopes) {
+    if (!Array.isArray(envelopes)) return;
+
+    envelopes.forEach(({ topic, envelope }) => {
+      const verified = this.verifyEnvelope(topic, envelope, envelope?.peerId);
+      if (!verified) return;
+      const { message } = verified;
+      const blocked = this.isBlocked(message.fromFullname, verified.signingKey);
+      const toMe = message.toFullname === this.profile.fullname && !blocked;
+
+      if ([DIRECT_PROTOCOL, MESSAGE_TOPIC].includes(topic) && message.type === 'DIRECT_MESSAGE' && toMe) {
+        this.handleDirectMessage(message.fromName, message.fromFullname, message.sealed, message.timestamp, message.messageId);
+      } else if (topic === DIRECT_PROTOCOL && message.type === 'UNFRIEND' && toMe) {
+        this.handleUnfriend(message.fromFullname, verified.signingKey);
+      } else if (topic === DIRECT_PROTOCOL && message.type === 'GROUP_MESSAGE' && toMe) {
+        const text = openMessage(message.sealed, this.keys);
+        if (text !== null) this.handleGroupMessage(message.groupId, message.fromName, text, message.fromFullname, message.timestamp, message.messageId);
+      } else if ([GROUP_TOPIC, this.groupTopic(message.groupId)].includes(topic) && message.type === 'GROUP_MESSAGE' && !blocked) {
+        this.handleGroupMessage(message.groupId, message.fromName, message.message, message.fromFullname, message.timestamp, message.messageId);
+      }
+    });
+  }
+
+  // file transfers
+
+  // Offers are signed messages like everything else, the file itself comes over FILE_PROTOCOL
+  // once the other side accepts. Only the people it was offered to can download it
+  async sendFile(toFullname, filePath) {
+    if (!this.friends.has(toFullname)) return { success: false, message: 'You can only send files to friends' };
+    const toPeerId = [...this.onlinePeers.entries()].find(([peerId, info]) => info.fullname === toFullname)?.[0];
+    if (!toPeerId) return { success: false, message: `${this.friends.get(toFullname).displayName} is offline, files can only be offered to friends who are online` };
+
+    const transfer = await this.createOutgoingTransfer(filePath, { toFullname });
+    if (!transfer.success) return transfer;
+    this.sendDirect(toPeerId, { ...this.fileOfferData(transfer.transfer), to: toPeerId, toFullname });
+    return { success: true, message: `Offered ${transfer.transfer.fileName} to ${this.friends.get(toFullname).displayName}`, transferId: transfer.transfer.transferId };
+  }
+
+  // Goes out on the group's topic, so participants who are offline right now miss the offer
+  async sendGroupFile(groupName, filePath) {
+    const found = this.findGroup(groupName);
+    if (!found.success) return found;
+
+    const { groupId, group } = found;
+    if (!this.isParticipant(group)) return { success: false, message: 'You are not a participant of this group' };
+
+    const transfer = await this.createOutgoingTransfer(filePath, { groupId });
+    if (!transfer.success) return transfer;
+    this.publishMessage(this.groupTopic(groupId), { ...this.fileOfferData(transfer.transfer), groupId, groupName: group.name });
+    return { success: true, message: `Offered ${transfer.transfer.fileName} to "${group.name}"`, transferId: transfer.transfer.transferId };
+  }
+
+  async createOutgoingTransfer(filePath, target) {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (err) {
+      return { success: false, message: `Can't read ${filePath}` };
+    }
+    if (!stats.isFile()) return { success: false, message: `${filePath} is not a file` };
+
+    const transfer = {
+      transferId: randomUUID(),
+      direction: 'out',
+      filePath: path.resolve(filePath),
+      fileName: path.basename(filePath),
+      size: stats.size,
+      hash: await hashFile(filePath),
+      ...target,
+      createdAt: new Date().toISOString()
+    };
+    this.transfers.set(transfer.transferId, transfer);
+    this.saveData('transfers', this.transfers);
+    return { success: true, transfer };
+  }
+
+  fileOfferData(transfer) {
+    return {
+      type: 'FILE_OFFER',
+      transferId: transfer.transferId,
+      fileName: transfer.fileName,
+      size: transfer.size,
+      hash: transfer.hash,
+      from: this.peerId,
+      fromName: this.profile.displayName,
+      fromFullname: this.profile.fullname
+    };
+  }
+
+  // Same rules as messages: DMs from friends only, group offers from participants of a group we're in
+  handleFileOffer(offer) {
+    if (this.transfers.has(offer.transferId) || offer.fromFullname === this.profile.fullname) return;
+    const group = offer.groupId ? this.groups.get(offer.groupId) : null;
+    if (offer.groupId ? !(group && this.isParticipant(group) && this.isParticipant(group, offer.fromFullname)) : !this.friends.has(offer.fromFullname)) return;
+    if (!Number.isInteger(offer.size) || offer.size < 0 || !/^[0-9a-f]{64}$/.test(offer.hash)) return;
+
+    const transfer = {
+      transferId: offer.transferId,
+      direction: 'in',
+      fileName: path.basename(String(offer.fileName)) || 'file',
+      size: offer.size,
+      hash: offer.hash,
+      fromName: offer.fromName,
+      fromFullname: offer.fromFullname,
+      groupId: offer.groupId,
+      status: 'offered',
+      received: 0,
+      createdAt: new Date().toISOString()
+    };
+    this.transfers.set(transfer.transferId, transfer);
+    this.saveData('transfers', this.transfers);
+    this.emit('fileOffer', this.transferSummary(transfer));
+  }
+
+  transferSummary(transfer) {
+    const { transferId, direction, fileName, size, status, received, fromName, savedTo, groupId } = transfer;
+    const to = transfer.toFullname ? this.friends.get(transfer.toFullname)?.displayName : undefined;
+    return { transferId, direction, fileName, size, status, received, fromName, to, savedTo, groupId, groupName: this.groups.get(groupId)?.name };
+  }
+
+  getTransfers() {
+    return [...this.transfers.values()].map(transfer => this.transferSummary(transfer));
+  }
+
+  // Transfers are picked by the start of their ID, like groups
+  findTransfer(idPrefix) {
+    const matches = [...this.transfers.values()].filter(transfer => transfer.transferId.startsWith(idPrefix.trim().toLowerCase()));
+    if (!idPrefix.trim() || matches.length === 0) return { success: false, message: `No file transfer matches "${idPrefix}"` };
+    if (matches.length > 1) return { success: false, message: `More than one file transfer matches "${idPrefix}", use more of the ID` };
+    return { success: true, transfer: matches[0] };
+  }
+
+  // Starts (or resumes) the download in the background, progress comes through events
+  acceptFile(idPrefix) {
+    const found = this.findTransfer(idPrefix);
+    if (!found.success) return found;
+
+    const { transfer } = found;
+    if (transfer.direction !== 'in') return { success: false, message: 'That file is one you sent' };
+    if (!['offered', 'paused', 'failed'].includes(transfer.status)) return { success: false, message: `${transfer.fileName} is already ${transfer.status}` };
+    if (!this.findOnlinePeerId(transfer.fromFullname)) {
+      transfer.status = 'paused';
+      this.saveData('transfers', this.transfers);
+      return { success: true, message: `${transfer.fromName} is offline, ${transfer.fileName} will download when they're back` };
+    }
+
+    this.downloadFile(transfer);
+    return { success: true, message: `Downloading ${transfer.fileName} from ${transfer.fromName}` };
+  }
+
+  declineFile(idPrefix) {
+    const found = this.findTransfer(idPrefix);
+    if (!found.success) return found;
+
+    const { transfer } = found;
+    if (transfer.direction !== 'in' || transfer.status !== 'offered') return { success: false, message: `${transfer.fileName} isn't waiting for an answer` };
+    transfer.status = 'declined';
+    this.saveData('transfers', this.transfers);
+
+    const toPeerId = this.findOnlinePeerId(transfer.fromFullname);
+    if (toPeerId && !transfer.groupId) {
+      this.sendDirect(toPeerId, {
+        type: 'FILE_DECLINE',
+        transferId: transfer.transferId,
+        from: this.peerId,
+        fromName: this.profile.displayName,
+        fromFullname: this.profile.fullname,
+        toFullname: transfer.fromFullname
+      });
+    }
+    return { success: true, message: `Declined ${transfer.fileName}` };
+  }
+
+  handleFileDecline(transferId, fromName, fromFullname) {
+    const transfer = this.transfers.get(transferId);
+    if (transfer?.direction === 'out' && transfer.toFullname === fromFullname) {
+      this.emit('fileDeclined', { transferId, fileName: transfer.fileName, fromName });
+    }
+  }
+
+  findOnlinePeerId(fullname) {
+    return [...this.onlinePeers.entries()].find(([peerId, info]) => info.fullname === fullname)?.[0] || null;
+  }
+
+  // Downloads that were cut off pick up where they left off once the sender is back
+  resumeDownloads(fullname) {
+    this.transfers.forEach(transfer => {
+      if (transfer.direction === 'in' && transfer.fromFullname === fullname &&
+          ['paused', 'downloading'].includes(transfer.status) && !this.activeDownloads.has(transfer.transferId)) {
+        this.downloadFile(transfer);
+      }
+    });
+  }
+
+  // Writes to <name>.part and asks for everything after what's already there. Each chunk is
+  // checked against its hash as it comes in and the whole file against the offer at the end.
+  // Anything wrong with the data fails the transfer, a dropped connection only pauses it
+  async downloadFile(transfer) {
+    const fail = (message) => Object.assign(new Error(message), { fatal: true });
+    const fromPeerId = this.findOnlinePeerId(transfer.fromFullname);
+    if (!fromPeerId || this.activeDownloads.has(transfer.transferId)) return;
+
+    this.activeDownloads.add(transfer.transferId);
+    if (!transfer.savedTo) transfer.savedTo = this.downloadPath(transfer.fileName);
+    const partial = `${transfer.savedTo}.part`;
+    transfer.status = 'downloading';
+
+    try {
+      // a download dir we can't write to fails the transfer, nobody's awaiting this to catch it
+      try {
+        fs.mkdirSync(this.downloadDir, { recursive: true });
+        if (!fs.existsSync(partial)) fs.writeFileSync(partial, '');
+        transfer.received = fs.statSync(partial).size;
+      } catch (err) {
+        throw fail(`Can't save to ${this.downloadDir}: ${err.message}`);
+      }
+      this.saveData('transfers', this.transfers);
+
+      const result = await requestFile(this.node, fromPeerId, { transferId: transfer.transferId, offset: transfer.received }, async (frame) => {
+        const data = Buffer.from(frame.data, 'base64');
+        if (frame.offset !== transfer.received || sha256(data) !== frame.hash || transfer.received + data.length > transfer.size) {
+          throw fail('A chunk failed its integrity check');
+        }
+        await fs.promises.appendFile(partial, data);
+        transfer.received += data.length;
+        this.emit('fileProgress', this.transferSummary(transfer));
+      });
+      if (result.error) throw fail(result.error);
+      if (transfer.received !== transfer.size || await hashFile(partial) !== transfer.hash) {
+        throw fail('The file doesn\'t match the hash it was offered with');
+      }
+      fs.renameSync(partial, transfer.savedTo);
+      transfer.status = 'done';
+      this.emit('fileReceived', this.transferSummary(transfer));
+    } catch (err) {
+      if (err.fatal) {
+        await fs.promises.rm(partial, { force: true }).catch(() => {});
+        transfer.status = 'failed';
+        transfer.received = 0;
+        this.emit('fileFailed', { ...this.transferSummary(transfer), reason: err.message });
+      } else {
+        // the connection dropped, keep the partial file for later
+        transfer.status = 'paused';
+        if (!this.stopping) this.emit('filePaused', this.transferSummary(transfer));
+      }
+    } finally {
+      this.activeDownloads.delete(transfer.transferId);
+      if (!this.stopping) this.saveData('transfers', this.transfers);
+    }
+  }
+
+  // file.txt, then file (1).txt and so on so nothing already downloaded gets overwritten
+  downloadPath(fileName) {
+    const { name, ext } = path.parse(fileName);
+    const taken = (file) => fs.existsSync(file) || fs.existsSync(`${file}.part`) ||
+      [...this.transfers.values()].some(transfer => transfer.savedTo === file);
+    let file = path.join(this.downloadDir, fileName);
+    for (let n = 1; taken(file); n++) file = path.join(this.downloadDir, `${name} (${n})${ext}`);
+    return file;
+  }
+
+  // FILE_PROTOCOL requests. The peer has to be who the file was offered to, a friend for a DM
+  // offer or a participant for a group one. A resuming friend can ask before their presence
+  // reaches us, so friends are also known by their last peer ID
+  async *serveFile(request, fromPeerId) {
+    const transfer = this.transfers.get(request?.transferId);
+    const fullname = this.onlinePeers.get(fromPeerId)?.fullname ||
+      [...this.friends.entries()].find(([name, friend]) => friend.peerId === fromPeerId)?.[0];
+    const group = transfer?.groupId ? this.groups.get(transfer.groupId) : null;
+    const allowed = transfer?.direction === 'out' && fullname &&
+      (transfer.groupId ? group && this.isParticipant(group, fullname) : transfer.toFullname === fullname);
+
+    if (!allowed) {
+      yield { error: 'Unknown file transfer' };
+      return;
+    }
+    if (!Number.isInteger(request.offset) || request.offset < 0 || request.offset > transfer.size) {
+      yield { error: 'Bad offset' };
+      return;
+    }
+
+    let file;
+    try {
+      file = await fs.promises.open(transfer.filePath);
+    } catch (err) {
+      yield { error: `${transfer.fileName} isn't available anymore` };
+      return;
+    }
+
+    const peerName = this.onlinePeers.get(fromPeerId)?.displayName || this.friends.get(fullname)?.displayName;
+    try {
+      for (let offset = request.offset; offset < transfer.size; offset += FILE_CHUNK_SIZE) {
+        const { bytesRead, buffer } = await file.read(Buffer.alloc(FILE_CHUNK_SIZE), 0, FILE_CHUNK_SIZE, offset);
+        const data = buffer.subarray(0, bytesRead);
+        yield { offset, data: data.toString('base64'), hash: sha256(data) };
+        this.emit('fileProgress', { ...this.transferSummary(transfer), received: offset + bytesRead, peerName });
+      }
+    } finally {
+      await file.close();
+    }
+    yield { done: true };
+    this.emit('fileSent', { ...this.transferSummary(transfer), peerName });
+  }
+}
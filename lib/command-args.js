@@ -0,0 +1,21 @@
+// Argument parsing for slash commands. Names can have spaces in them if they're "quoted"
+
+export function unquote(text) {
+  const trimmed = text.trim();
+  return /^"[^"]*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+// Splits off the first count - 1 arguments and leaves the rest of the text as the last one,
+// so /msg "Jacob Schirmer" see you at noon gives ['Jacob Schirmer', 'see you at noon']
+export function splitArgs(text, count) {
+  const args = [];
+  let rest = text.trim();
+  while (args.length < count - 1 && rest) {
+    const match = rest.match(/^"([^"]*)"\s*|^(\S+)\s*/);
+    args.push(match[1] ?? match[2]);
+    rest = rest.slice(match[0].length);
+  }
+  while (args.length < count - 1) args.push('');
+  args.push(rest);
+  return args;
+}
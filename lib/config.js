@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+
+// Command line settings. A flag wins over its PEERCHAT_* environment variable, which wins over
+// the config file (--config <file>, or peerchat.json in the current directory if there is one)
+
+export const DEFAULT_CONFIG_FILE = 'peerchat.json';
+
+const DEFAULTS = {
+  dataDir: '.',
+  port: null,
+  listen: null,
+  connect: [],
+  heartbeat: 30,
+  wsPort: null,
+  webrtc: false,
+  relay: false,
+  useRelay: [],
+  discover: false,
+  lockAfter: 15,
+  daemon: false,
+  apiPort: 7331
+};
+
+const OPTIONS = {
+  config: { type: 'string' },
+  'data-dir': { type: 'string' },
+  account: { type: 'string' },
+  'password-file': { type: 'string' },
+  port: { type: 'string' },
+  listen: { type: 'string', multiple: true },
+  connect: { type: 'string', multiple: true },
+  heartbeat: { type: 'string' },
+  'ws-port': { type: 'string' },
+  webrtc: { type: 'boolean' },
+  relay: { type: 'boolean' },
+  'use-relay': { type: 'string', multiple: true },
+  discover: { type: 'boolean' },
+  'lock-after': { type: 'string' },
+  daemon: { type: 'boolean' },
+  'api-port': { type: 'string' },
+  'api-token': { type: 'string' },
+  to: { type: 'string' },
+  group: { type: 'string' },
+  timeout: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const ENV = {
+  dataDir: 'PEERCHAT_DATA_DIR',
+  account: 'PEERCHAT_ACCOUNT',
+  apiPort: 'PEERCHAT_API_PORT',
+  apiToken: 'PEERCHAT_API_TOKEN'
+};
+
+function toNumber(name, value, min = 0) {
+  if (value === undefined || value === null) return value;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) throw new Error(`${name} has to be a number of at least ${min}, got "${value}"`);
+  return number;
+}
+
+function toPort(name, value) {
+  const port = toNumber(name, value);
+  if (port !== undefined && port !== null && (!Number.isInteger(port) || port > 65535)) {
+    throw new Error(`${name} has to be a port from 0 to 65535, got "${value}"`);
+  }
+  return port;
+}
+
+// Flags always give a list, but a config file could have anything
+function toList(name, value) {
+  if (value === undefined || value === null) return value;
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+    throw new Error(`${name} has to be a list of addresses, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+// Relative paths in a config file are relative to the file, not wherever we were started from
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file ${file} not found`);
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Can't read config file ${file}: ${err.message}`);
+  }
+  const dir = path.dirname(file);
+  if (config.dataDir) config.dataDir = path.resolve(dir, config.dataDir);
+  if (config.passwordFile) config.passwordFile = path.resolve(dir, config.passwordFile);
+  return config;
+}
+
+// Throws with a message for the user when something doesn't parse
+export function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  const configFile = values.config ?? env.PEERCHAT_CONFIG ?? DEFAULT_CONFIG_FILE;
+  const file = readConfigFile(configFile, values.config !== undefined || env.PEERCHAT_CONFIG !== undefined);
+
+  const pick = (key, flag) => values[flag] ?? (ENV[key] ? env[ENV[key]] : undefined) ?? file[key] ?? DEFAULTS[key];
+  const dataDir = pick('dataDir', 'data-dir');
+  const passwordFile = values['password-file'] ?? file.passwordFile;
+
+  return {
+    command: positionals[0] ?? null,
+    args: positionals.slice(1),
+    help: values.help ?? false,
+    dataDir,
+    accountsFile: path.join(dataDir, 'accounts.json'),
+    accountDataDir: path.join(dataDir, 'account_data'),
+    downloadDir: path.join(dataDir, 'downloads'),
+    account: pick('account', 'account'),
+    password: passwordFile ? fs.readFileSync(passwordFile, 'utf8').trim() : env.PEERCHAT_PASSWORD,
+    port: toPort('--port', pick('port', 'port')),
+    listen: toList('--listen', pick('listen', 'listen')),
+    connect: toList('--connect', pick('connect', 'connect')),
+    heartbeat: toNumber('--heartbeat', pick('heartbeat', 'heartbeat'), 1),
+    wsPort: toPort('--ws-port', pick('wsPort', 'ws-port')),
+    webrtc: pick('webrtc', 'webrtc'),
+    relay: pick('relay', 'relay'),
+    useRelay: toList('--use-relay', pick('useRelay', 'use-relay')),
+    discover: pick('discover', 'discover'),
+    lockAfter: toNumber('--lock-after', pick('lockAfter', 'lock-after')),
+    daemon: pick('daemon', 'daemon'),
+    apiPort: toPort('--api-port', pick('apiPort', 'api-port')),
+    apiToken: pick('apiToken', 'api-token'),
+    to: values.to,
+    group: values.group,
+    timeout: toNumber('--timeout', values.timeout ?? 30)
+  };
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+export function generateDerKeyPair(type) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, {
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'der' }
+  });
+  return { publicKey: publicKey.toString('base64'), privateKey: privateKey.toString('base64') };
+}
+
+function publicKeyFromBase64(key) {
+  return crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+}
+
+function privateKeyFromBase64(key) {
+  return crypto.createPrivateKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'pkcs8' });
+}
+
+// Encryption
+
+function deriveMessageKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  const info = Buffer.concat([ephemeralPublicKey, recipientPublicKey]);
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.alloc(0), info, 32));
+}
+
+// Seal a message to a recipient's public key, only their private key can open it
+export function sealMessage(message, recipientPublicKey) {
+  const recipientDer = Buffer.from(recipientPublicKey, 'base64');
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralDer = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+  const sharedSecret = crypto.diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: publicKeyFromBase64(recipientPublicKey)
+  });
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveMessageKey(sharedSecret, ephemeralDer, recipientDer), iv);
+  const ciphertext = Buffer.concat([cipher.update(message, 'utf8'), cipher.final()]);
+
+  return {
+    ephemeralKey: ephemeralDer.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+// Returns null if the message wasn't sealed to these keys or was tampered with
+export function openMessage(sealed, keys) {
+  try {
+    const ephemeralDer = Buffer.from(sealed.ephemeralKey, 'base64');
+    const sharedSecret = crypto.diffieHellman({
+      privateKey: privateKeyFromBase64(keys.privateKey),
+      publicKey: publicKeyFromBase64(sealed.ephemeralKey)
+    });
+
+    const key = deriveMessageKey(sharedSecret, ephemeralDer, Buffer.from(keys.publicKey, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Password protected storage
+
+// scrypt is slow on purpose, so the account data key is derived once at login and reused
+export function deriveDataKey(password, salt) {
+  return crypto.scryptSync(password, Buffer.from(salt, 'base64'), 32);
+}
+
+export function encryptWithKey(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Throws if the key is wrong or the blob was modified
+export function decryptWithKey(blob, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(blob.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]);
+}
+
+export function encryptWithPassword(plaintext, password) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  return { salt, ...encryptWithKey(plaintext, deriveDataKey(password, salt)) };
+}
+
+// Throws if the password is wrong or the blob was modified
+export function decryptWithPassword(blob, password) {
+  return decryptWithKey(blob, deriveDataKey(password, blob.salt));
+}
+
+// Signing
+
+// The signature covers the topic and the sender's libp2p peer ID so a payload can't be replayed
+// from another peer or onto another topic
+function signedBytes(topic, peerId, body) {
+  return Buffer.from(`${topic}\n${peerId}\n${body}`, 'utf8');
+}
+
+export function signEnvelope(topic, data, peerId, keys) {
+  const body = JSON.stringify(data);
+  return {
+    body,
+    peerId,
+    signingKey: keys.signingPublicKey,
+    signature: crypto.sign(null, signedBytes(topic, peerId, body), privateKeyFromBase64(keys.signingPrivateKey)).toString('base64')
+  };
+}
+
+export function verifySignature(topic, envelope) {
+  try {
+    const publicKey = publicKeyFromBase64(envelope.signingKey);
+    return crypto.verify(null, signedBytes(topic, envelope.peerId, envelope.body), publicKey, Buffer.from(envelope.signature, 'base64'));
+  } catch (err) {
+    return false;
+  }
+}
+
+// File integrity
+
+export function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Streams the file through the hash so big files don't have to fit in memory
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Handles
+
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+const HANDLE_TAG_LENGTH = 12;
+
+// name#k3x9q2mfa7bd, the tag comes from the account's signing key so anyone holding the key can
+// check it. 12 base32 characters are 60 bits, too many to grind out a key that matches someone's tag
+export function deriveHandle(displayName, signingPublicKey) {
+  const digest = crypto.createHash('sha256').update(signingPublicKey).digest();
+  let tag = '';
+  for (let i = 0; i < HANDLE_TAG_LENGTH; i++) {
+    const bit = i * 5;
+    const chunk = (digest[bit >> 3] << 8 | digest[(bit >> 3) + 1]) >> (11 - (bit & 7));
+    tag += BASE32[chunk & 31];
+  }
+  return `${displayName}#${tag}`;
+}
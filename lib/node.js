@@ -0,0 +1,181 @@
+import { createLibp2p } from 'libp2p';
+import { tcp } from '@libp2p/tcp';
+import { webSockets } from '@libp2p/websockets';
+import { webRTC } from '@libp2p/webrtc';
+import { circuitRelayTransport, circuitRelayServer } from '@libp2p/circuit-relay-v2';
+import { noise } from '@chainsafe/libp2p-noise';
+import { yamux } from '@chainsafe/libp2p-yamux';
+import { gossipsub } from '@libp2p/gossipsub';
+import { identify } from '@libp2p/identify';
+import { ping } from '@libp2p/ping';
+import { mdns } from '@libp2p/mdns';
+import { kadDHT, removePublicAddressesMapper } from '@libp2p/kad-dht';
+import { generateKeyPair, privateKeyFromProtobuf, privateKeyToProtobuf } from '@libp2p/crypto/keys';
+import { peerIdFromString } from '@libp2p/peer-id';
+import { lpStream } from '@libp2p/utils';
+import { cleanup as releaseWebRTC } from 'node-datachannel';
+import { loadJSON, saveJSON } from './storage.js';
+import { encryptWithPassword, decryptWithPassword } from './crypto.js';
+
+// Stream protocol for traffic meant for exactly one peer, so it isn't gossiped to everyone
+export const DIRECT_PROTOCOL = '/conf-chat/direct/1.0.0';
+
+// Stream protocol for file transfers. The downloader asks for a transfer from an offset and the
+// sender answers with chunk frames, then { done: true } or { error }
+export const FILE_PROTOCOL = '/conf-chat/file/1.0.0';
+
+// How long and how much a relayed connection through a --relay node may carry before it's cut
+// (and redialed). Chat traffic is small and files never go over relays
+const RELAY_DURATION_LIMIT = 60 * 60 * 1000;
+const RELAY_DATA_LIMIT = BigInt(4 * 1024 * 1024);
+
+// node-datachannel can hold on to failed WebRTC dials after the node stops, which keeps the
+// process from exiting. It only lets go of everything at once, so that waits for the last
+// WebRTC node in the process to stop
+const webrtcNodes = new Set();
+
+// libp2p private key for the account so the peer ID (and our multiaddr) survive restarts
+export async function loadOrCreatePeerKey(file, password) {
+  const existing = loadJSON(file, null);
+  if (existing) return privateKeyFromProtobuf(decryptWithPassword(existing, password));
+
+  const privateKey = await generateKeyPair('Ed25519');
+  saveJSON(file, encryptWithPassword(Buffer.from(privateKeyToProtobuf(privateKey)), password));
+  return privateKey;
+}
+
+// After a password change, same key (and peer ID) under the new password
+export function reencryptPeerKey(file, oldPassword, newPassword) {
+  const existing = loadJSON(file, null);
+  if (existing) saveJSON(file, encryptWithPassword(decryptWithPassword(existing, oldPassword), newPassword));
+}
+
+// listen entries are IPs (v4 or v6) to listen on with TCP, or full multiaddrs. With a wsPort the
+// same IPs get a WebSocket listener too, and each relay we use gets a /p2p-circuit address
+function listenAddrs(listen, port, { wsPort = null, webrtc = false, relays = [] } = {}) {
+  const ipAddr = (host, tcpPort) => host.includes(':') ? `/ip6/${host}/tcp/${tcpPort}` : `/ip4/${host}/tcp/${tcpPort}`;
+  const hosts = listen.filter(host => !host.startsWith('/'));
+  return [
+    ...listen.map(host => host.startsWith('/') ? host : ipAddr(host, port)),
+    ...(wsPort === null ? [] : hosts.map(host => `${ipAddr(host, wsPort)}/ws`)),
+    ...relays.map(relay => `${relay}/p2p-circuit`),
+    ...(webrtc ? ['/webrtc'] : [])
+  ];
+}
+
+// Reuses the port from last session when we can so the whole multiaddr stays the same.
+// With discovery on we listen on every LAN interface, find peers with mDNS and run a
+// LAN-only DHT so friends can be looked up by peer ID.
+// TCP, WebSocket and relayed addresses can always be dialed. relay makes this node a circuit
+// relay for everyone else, relays are the relays we reserve a slot on so peers that can't reach
+// us directly (NAT) can through them, and webrtc lets those peers upgrade to a direct WebRTC
+// connection using the relay for signalling
+export async function createNode(privateKey, port = 0, { discovery = false, listen = null, wsPort = null, webrtc = false, relay = false, relays = [] } = {}) {
+  const discoveryServices = discovery ? {
+    dht: kadDHT({
+      protocol: '/conf-chat/lan/kad/1.0.0',
+      peerInfoMapper: removePublicAddressesMapper,
+      clientMode: false
+    })
+  } : {};
+  // the default limits (2 minutes or 128KB) are meant for setting up a direct connection and
+  // would keep cutting chats off, but a relay anyone can reserve on shouldn't be unlimited either
+  const relayService = relay ? {
+    relay: circuitRelayServer({ reservations: { defaultDurationLimit: RELAY_DURATION_LIMIT, defaultDataLimit: RELAY_DATA_LIMIT } })
+  } : {};
+
+  const node = await createLibp2p({
+    privateKey,
+    addresses: {
+      listen: listenAddrs(listen ?? [discovery || relay ? '0.0.0.0' : '127.0.0.1'], port, { wsPort, webrtc, relays })
+    },
+    peerDiscovery: discovery ? [mdns()] : [],
+    transports: [tcp(), webSockets(), circuitRelayTransport(), ...(webrtc ? [webRTC()] : [])],
+    connectionEncrypters: [noise()],
+    streamMuxers: [yamux()],
+    connectionManager: {
+      minConnections: 0,
+      maxConnections: 50,
+      autoDial: false
+    },
+    services: {
+      identify: identify(),
+      ping: ping({ runOnLimitedConnection: true }),
+      pubsub: gossipsub({
+        allowPublishToZeroTopicPeers: true,
+        emitSelf: false,
+        gossipIncoming: true,
+        fallbackToFloodsub: true,
+        runOnLimitedConnection: true
+      }),
+      ...discoveryServices,
+      ...relayService
+    }
+  });
+
+  if (webrtc) webrtcNodes.add(node);
+  return node;
+}
+
+export async function stopNode(node) {
+  await node.stop();
+  if (webrtcNodes.delete(node) && webrtcNodes.size === 0) releaseWebRTC();
+}
+
+// Opens a stream to the peer and writes one length-prefixed JSON message. Direct messages are
+// small, so they're allowed over relays that put a data limit on the connection
+export async function writeDirect(node, peerId, data) {
+  const stream = await node.dialProtocol(peerIdFromString(peerId), DIRECT_PROTOCOL, { runOnLimitedConnection: true });
+  await lpStream(stream).write(new TextEncoder().encode(JSON.stringify(data)));
+  await stream.close();
+}
+
+// onMessage gets the parsed message and the peer the connection authenticated
+export async function handleDirect(node, onMessage) {
+  await node.handle(DIRECT_PROTOCOL, async (stream, connection) => {
+    try {
+      const data = await lpStream(stream).read();
+      await stream.close();
+      onMessage(JSON.parse(new TextDecoder().decode(data.subarray())), connection.remotePeer.toString());
+    } catch (err) {
+      stream.abort(err);
+    }
+  }, { runOnLimitedConnection: true });
+}
+
+// onRequest gets the request and the authenticated peer and returns an async iterable of frames
+export async function handleFileRequests(node, onRequest) {
+  await node.handle(FILE_PROTOCOL, async (stream, connection) => {
+    const lp = lpStream(stream);
+    try {
+      const request = JSON.parse(new TextDecoder().decode((await lp.read()).subarray()));
+      for await (const frame of onRequest(request, connection.remotePeer.toString())) {
+        await lp.write(new TextEncoder().encode(JSON.stringify(frame)));
+      }
+      await stream.close();
+    } catch (err) {
+      stream.abort(err);
+    }
+  });
+}
+
+// Hands every chunk frame to onFrame and resolves with the last frame. Throws if the stream
+// drops before the sender is done, which is how a transfer ends up paused
+export async function requestFile(node, peerId, request, onFrame) {
+  const stream = await node.dialProtocol(peerIdFromString(peerId), FILE_PROTOCOL);
+  const lp = lpStream(stream);
+  try {
+    await lp.write(new TextEncoder().encode(JSON.stringify(request)));
+    while (true) {
+      const frame = JSON.parse(new TextDecoder().decode((await lp.read()).subarray()));
+      if (frame.done || frame.error) {
+        await stream.close();
+        return frame;
+      }
+      await onFrame(frame);
+    }
+  } catch (err) {
+    stream.abort(err);
+    throw err;
+  }
+}
@@ -0,0 +1,27 @@
+import fs from 'fs';
+import path from 'path';
+import { encryptWithKey, decryptWithKey } from './crypto.js';
+
+// With a key the file holds { encrypted: true, iv, tag, data } instead of the JSON itself.
+// Plain files still load with a key, so older data gets encrypted the next time it's saved
+export function loadJSON(file, defaultValue = [], key = null) {
+  try {
+    if (fs.existsSync(file)) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return parsed?.encrypted ? JSON.parse(decryptWithKey(parsed, key).toString('utf8')) : parsed;
+    }
+  } catch (err) {
+    console.error(`Failed to load ${file}:`, err.message);
+  }
+  return defaultValue;
+}
+
+export function saveJSON(file, data, key = null) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const json = JSON.stringify(data, null, 2);
+    fs.writeFileSync(file, key ? JSON.stringify({ encrypted: true, ...encryptWithKey(Buffer.from(json), key) }, null, 2) : json);
+  } catch (err) {
+    console.error(`Failed to save ${file}:`, err.message);
+  }
+}
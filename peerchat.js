@@ -1,924 +1,538 @@
-import { createLibp2p } from 'libp2p';
-import { tcp } from '@libp2p/tcp';
-import { noise } from '@chainsafe/libp2p-noise';
-import { yamux } from '@chainsafe/libp2p-yamux';
-import { gossipsub } from '@libp2p/gossipsub';
-import { identify } from '@libp2p/identify';
-import { multiaddr } from '@multiformats/multiaddr';
+#!/usr/bin/env node
 import * as readline from 'readline';
-import fs from 'fs';
-import bcrypt from 'bcrypt';
-
-// Pubsub topics
-const PRESENCE_TOPIC = 'p2p-presence';
-const FRIEND_TOPIC = 'p2p-friends';
-const MESSAGE_TOPIC = 'p2p-messages';
-const GROUP_TOPIC = 'p2p-group';
-
-const ACCOUNTS_DB_FILE = './accounts.json';
-const DATA_DIR = './account_data';
-const SALT_ROUNDS = 10;
-
-// User state
-let myProfile = null;
-let currentAccountId = null;
-let myPeerId = null;
-
-// Maps for tracking everything
-const friends = new Map();
-const friendRequests = new Map();
-const sentRequests = new Set();
-const offlineMessages = new Map();
-const offlineGroupMessages = new Map();
-const offlineGroupLeaves = new Map();
-const groups = new Map(); 
-const onlinePeers = new Map(); 
-
-function loadJSON(file, defaultValue = []) {
-  try {
-    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
-  } catch (err) {
-    console.error(`Failed to load ${file}:`, err.message);
+import { ChatClient } from './lib/chat-client.js';
+import { loadAccounts } from './lib/accounts.js';
+import { splitArgs, unquote } from './lib/command-args.js';
+import { startApi } from './lib/api.js';
+import { loadConfig } from './lib/config.js';
+
+const USAGE = `Usage:
+  node peerchat.js [options]                              interactive prompt
+  node peerchat.js --daemon [options]                     headless, with the control API
+  node peerchat.js send --to <name> <message> [options]   send a DM, wait for delivery and exit
+  node peerchat.js send --group <group> <message>         same for a group message
+  node peerchat.js history <name|group> [page]            print a conversation and exit
+
+Options (can also go in peerchat.json or a file given with --config):
+  --data-dir <dir>        where accounts.json, account_data/ and downloads/ live (default .)
+  --account <full name>   log in as this account (PEERCHAT_ACCOUNT)
+  --password-file <file>  read the password from a file, otherwise PEERCHAT_PASSWORD or asked for
+  --port <port>           TCP port to listen on (default: last session's)
+  --listen <ip|addr>      interface or multiaddr to listen on, can be repeated (default 127.0.0.1)
+  --connect <multiaddr>   peer to dial on startup, can be repeated
+  --heartbeat <seconds>   how often presence is announced (default 30)
+  --ws-port <port>        also listen for WebSocket connections on this port
+  --relay                 relay connections for peers that can't reach each other directly
+  --use-relay <multiaddr> be reachable through this relay when behind NAT, can be repeated
+  --webrtc                allow direct WebRTC connections set up through a relay
+  --discover              LAN discovery with mDNS and a DHT
+  --lock-after <minutes>  idle time before the prompt locks, 0 for never (default 15)
+  --api-port <port>       control API port in daemon mode (default 7331)
+  --api-token <token>     control API token in daemon mode (default: random)
+  --timeout <seconds>     how long send waits for delivery (default 30)`;
+
+// Notifications that came in while the session was locked, null when it isn't
+let heldNotifications = null;
+
+// Print something that showed up while the user is sitting at the prompt
+function notify(text) {
+  if (heldNotifications) {
+    heldNotifications.push(text);
+    return;
   }
-  return defaultValue;
+  console.log(`\n${text}`);
+  process.stdout.write('> ');
 }
 
-function saveJSON(file, data) {
-  try {
-    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-    fs.writeFileSync(file, JSON.stringify(data, null, 2));
-  } catch (err) {
-    console.error(`Failed to save ${file}:`, err.message);
-  }
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
-function saveMyProfile() {
-  const accounts = loadJSON(ACCOUNTS_DB_FILE, []);
-  const index = accounts.findIndex(acc => acc.fullname === currentAccountId);
-  if (index !== -1) accounts[index] = myProfile;
-  else accounts.push(myProfile);
-  saveJSON(ACCOUNTS_DB_FILE, accounts);
+function formatPresence(status, statusText) {
+  return statusText ? `${status} "${statusText}"` : status;
 }
 
-function loadData(fullname, dataType, mapTarget) {
-  const entries = loadJSON(`${DATA_DIR}/${fullname}_${dataType}.json`, []);
-  entries.forEach(([key, value]) => mapTarget.set(key, value));
-  if (entries.length > 0) console.log(`Loaded ${entries.length} ${dataType}`);
+// How far along one of our own messages is, blank for messages other people sent
+function formatStatus(entry, myFullname) {
+  if (entry.fromFullname !== myFullname) return '';
+  if (entry.recipients !== undefined) return ` (delivered ${entry.deliveredTo.length}/${entry.recipients}, read ${entry.readBy.length}/${entry.recipients})`;
+  return entry.status ? ` (${entry.status})` : '';
 }
 
-function saveData(dataType, mapSource) {
-  saveJSON(`${DATA_DIR}/${currentAccountId}_${dataType}.json`, Array.from(mapSource.entries()));
-}
+// Account registration/login
 
-// Peer/friend stuff
+async function registerAccount(rl, client) {
+  console.log('\n=== Register New Account ===');
 
-function findFullnameByDisplayName(displayName, searchMap) {
-  for (const [fullname, data] of searchMap.entries()) {
-    if (data.displayName.toLowerCase() === displayName.toLowerCase()) {
-      return fullname;
-    }
+  const fullname = await new Promise(resolve => rl.question('Enter your full name: ', resolve));
+  if (!fullname || fullname.trim().length === 0) {
+    console.log('Full name cannot be empty. Please try again\n');
+    return registerAccount(rl, client);
   }
-  return null;
-}
 
-function findPeerIdByDisplayName(displayName) {
-  for (const [peerId, peerInfo] of onlinePeers.entries()) {
-    if (peerInfo.displayName.toLowerCase() === displayName.toLowerCase()) {
-      return peerId;
-    }
+  const password = await new Promise(resolve => rl.question('Create a password: ', resolve));
+  if (!password) {
+    console.log('Password cannot be empty. Please try again\n');
+    return registerAccount(rl, client);
   }
-  return null;
-}
-
-function isFriendOnline(fullname) {
-  return [...onlinePeers.values()].some(peer => peer.fullname === fullname);
-}
-
-// A user accounces their precesnce
-function announcePresence(node) {
-  node.services.pubsub.publish(PRESENCE_TOPIC, new TextEncoder().encode(JSON.stringify({
-    type: 'PRESENCE',
-    peerId: myPeerId,
-    displayName: myProfile.displayName,
-    fullname: myProfile.fullname
-  }))).catch(err => console.error('Failed to announce presence:', err.message));
-}
 
-// Broadcast users online/offline precense
-function handlePresence(peerId, displayName, fullname, node) {
-  if (peerId !== myPeerId && !onlinePeers.has(peerId)) {
-    onlinePeers.set(peerId, { displayName, fullname });
-    if (friends.has(fullname)) {
-      console.log(`\nFriend ${displayName} is online`);
-      process.stdout.write('> ');
-      
-      // Send queued offline messages
-      if (offlineMessages.has(fullname)) {
-        const messages = offlineMessages.get(fullname);
-        messages.forEach(msg => {
-          publishMessage(MESSAGE_TOPIC, {
-            type: 'DIRECT_MESSAGE',
-            from: myPeerId,
-            fromName: myProfile.displayName,
-            fromFullname: myProfile.fullname,
-            toFullname: fullname,
-            to: peerId,
-            message: msg.message,
-            timestamp: msg.timestamp
-          }, node);
-        });
-        console.log(`Delivered ${messages.length} queued direct message to ${displayName}`);
-        process.stdout.write('> ');
-        offlineMessages.delete(fullname);
-        saveData('messages', offlineMessages);
-      }
-      
-      // Queue group msgs
-      if (offlineGroupMessages.has(fullname)) {
-        const groupMsgs = offlineGroupMessages.get(fullname);
-        groupMsgs.forEach(msg => {
-          publishMessage(GROUP_TOPIC, {
-            type: 'GROUP_MESSAGE',
-            groupId: msg.groupId,
-            groupName: msg.groupName,
-            from: peerId,
-            fromName: msg.fromName,
-            fromFullname: msg.fromFullname,
-            message: msg.message,
-            timestamp: msg.timestamp
-          }, node);
-        });
-        console.log(`Delivered ${groupMsgs.length} queued group message(s) to ${displayName}`);
-        process.stdout.write('> ');
-        offlineGroupMessages.delete(fullname);
-        saveData('groupmessages', offlineGroupMessages);
-      }
-      
-      // deliver queued group leave events
-      if (offlineGroupLeaves.has(fullname)) {
-        const leaveEvents = offlineGroupLeaves.get(fullname);
-        leaveEvents.forEach(event => {
-          publishMessage(GROUP_TOPIC, {
-            type: 'GROUP_LEAVE',
-            groupId: event.groupId,
-            groupName: event.groupName,
-            peerId: event.peerId,
-            peerName: event.peerName,
-            peerFullname: event.peerFullname
-          }, node);
-        });
-        console.log(`Delivered ${leaveEvents.length} queued group leave event(s) to ${displayName}`);
-        process.stdout.write('> ');
-        offlineGroupLeaves.delete(fullname);
-        saveData('groupleaves', offlineGroupLeaves);
-      }
-    }
+  const displayName = await new Promise(resolve => rl.question('Enter your display name: ', resolve));
+  if (!displayName || displayName.trim().length === 0) {
+    console.log('Display name cannot be empty. Please try again\n');
+    return registerAccount(rl, client);
   }
-}
-
-function publishMessage(topic, data, node) {
-  node.services.pubsub.publish(topic, new TextEncoder().encode(JSON.stringify(data)))
-    .catch(err => console.error(`Failed to publish to ${topic}:`, err.message));
-}
-
-// A user sends a friend request
-function sendFriendRequest(toPeerId, node) {
-  const peerInfo = onlinePeers.get(toPeerId);
-  if (!peerInfo) return { success: false, message: 'Peer not found or offline' };
-  if (friends.has(peerInfo.fullname)) return { success: false, message: 'Already friends with this peer' };
-  if (sentRequests.has(peerInfo.fullname)) return { success: false, message: 'Friend request already sent' };
 
-  sentRequests.add(peerInfo.fullname);
-  publishMessage(FRIEND_TOPIC, {
-    type: 'FRIEND_REQUEST',
-    from: myPeerId,
-    fromName: myProfile.displayName,
-    fromFullname: myProfile.fullname,
-    to: toPeerId
-  }, node);
-  return { success: true, message: `Friend request sent to ${peerInfo.displayName}` };
-}
-
-// Broadcast user getting a friend request
-function handleFriendRequest(fromName, fromFullname) {
-  if (!friends.has(fromFullname) && !friendRequests.has(fromFullname)) {
-    friendRequests.set(fromFullname, { displayName: fromName, timestamp: new Date().toISOString() });
-    console.log(`\nFriend request from ${fromName}! Use /requests to view.`);
-    process.stdout.write('> ');
+  const result = await client.register({ fullname, password, displayName });
+  if (!result.success) {
+    console.log(`${result.message}. Please try again\n`);
+    return registerAccount(rl, client);
   }
+  console.log(`${result.message}\n`);
 }
 
-// A user accepts a friend request
-function acceptFriendRequest(fromFullname, node) {
-  if (!friendRequests.has(fromFullname)) return { success: false, message: 'No pending request from this peer' };
-
-  const friendData = friendRequests.get(fromFullname);
-  friends.set(fromFullname, { displayName: friendData.displayName, addedAt: new Date().toISOString() });
-  friendRequests.delete(fromFullname);
-  sentRequests.delete(fromFullname);
-  saveData('friends', friends);
-
-  const toPeerId = [...onlinePeers.entries()].find(([peerId, info]) => info.fullname === fromFullname)?.[0];
-  if (toPeerId) {
-    publishMessage(FRIEND_TOPIC, {
-      type: 'FRIEND_ACCEPT',
-      from: myPeerId,
-      fromName: myProfile.displayName,
-      fromFullname: myProfile.fullname,
-      to: toPeerId
-    }, node);
+async function loginAccount(rl, client, fullname) {
+  const password = await new Promise(resolve => rl.question('Password: ', resolve));
+  const result = await client.login(fullname, password);
+  console.log(`${result.message}\n`);
+  return result.success;
+}
+
+// Hides the session until the password is entered again, then shows what came in meanwhile
+async function unlockSession(rl, client, idle) {
+  heldNotifications = [];
+  console.clear();
+  console.log(idle ? 'Locked after being idle' : 'Session locked');
+  while (client.locked) {
+    const password = await new Promise(resolve => rl.question('Password to unlock: ', resolve));
+    const result = await client.unlock(password);
+    if (!result.success) console.log(result.message);
   }
-  return { success: true, message: `You are now friends with ${friendData.displayName}` };
-}
 
-// Broadcast user accpeting a firend request
-function handleFriendAccept(fromName, fromFullname) {
-  if (!friends.has(fromFullname)) {
-    friends.set(fromFullname, { displayName: fromName, addedAt: new Date().toISOString() });
-    sentRequests.delete(fromFullname);
-    saveData('friends', friends);
-    console.log(`\n${fromName} accepted your friend request!`);
-    process.stdout.write('> ');
+  const held = heldNotifications;
+  heldNotifications = null;
+  if (held.length > 0) {
+    console.log('\nWhile you were locked:');
+    held.forEach(text => console.log(text));
   }
+  console.log('');
+  rl.prompt();
 }
 
-function rejectFriendRequest(fromFullname) {
-  if (!friendRequests.has(fromFullname)) return { success: false, message: 'No pending request from this peer' };
-  const friendData = friendRequests.get(fromFullname);
-  friendRequests.delete(fromFullname);
-  return { success: true, message: `Rejected friend request from ${friendData.displayName}` };
-}
-
-// messaging functions
-
-// A user sends a message
-function sendMessage(toFullname, message, node) {
-  if (!friends.has(toFullname)) return { success: false, message: 'You can only message friends' };
-
-  const friendData = friends.get(toFullname);
-  const toPeerEntry = [...onlinePeers.entries()].find(([peerId, info]) => info.fullname === toFullname);
-  const isOnline = !!toPeerEntry;
+async function selectOrCreateAccount(rl, accountsFile) {
+  const accounts = loadAccounts(accountsFile);
 
-  publishMessage(MESSAGE_TOPIC, {
-    type: 'DIRECT_MESSAGE',
-    from: myPeerId,
-    fromName: myProfile.displayName,
-    fromFullname: myProfile.fullname,
-    toFullname,
-    to: toPeerEntry?.[0] || '',
-    message,
-    timestamp: new Date().toISOString()
-  }, node);
+  if (accounts.length === 0) {
+    console.log('\nNo accounts found. Create an accout to get started\n');
+    return { action: 'register' };
+  }
 
-  if (isOnline) return { success: true, message: `Message sent to ${friendData.displayName}` };
-  
-  if (!offlineMessages.has(toFullname)) offlineMessages.set(toFullname, []);
-  offlineMessages.get(toFullname).push({
-    from: myProfile.fullname,
-    fromName: myProfile.displayName,
-    message,
-    timestamp: new Date().toISOString()
+  console.log('\n=== Account Selection ===');
+  console.log('Select Account:');
+  accounts.forEach((acc, index) => {
+    console.log(`  ${index + 1}. ${acc.fullname} (${acc.displayName})`);
   });
-  saveData('messages', offlineMessages);
-  return { success: true, message: `Message queued for ${friendData.displayName} (offline)` };
-}
-
-// Broadcast message handling
-function handleDirectMessage(fromName, fromFullname, message, timestamp) {
-  if (friends.has(fromFullname)) {
-    console.log(`\n[${fromName}] (${new Date(timestamp).toLocaleString()}): ${message}`);
-    process.stdout.write('> ');
-  }
-}
+  console.log(`  ${accounts.length + 1}. Create new account`);
 
-// Send queued offline messages
-function deliverOfflineMessages(myFullname) {
-  const messages = offlineMessages.get(myFullname);
-  if (messages?.length > 0) {
-    console.log(`\nYou have ${messages.length} offline message(s):\n`);
-    messages.forEach(msg => {
-      console.log(`  [${msg.fromName}] (${new Date(msg.timestamp).toLocaleString()}): ${msg.message}`);
-    });
-    console.log('');
-    offlineMessages.delete(myFullname);
-    saveData('messages', offlineMessages);
-  }
-}
+  return new Promise((resolve) => {
+    rl.question('\nSelect an account number: ', (answer) => {
+      const choice = parseInt(answer);
 
-// Send queued online messages
-function deliverOfflineGroupMessages() {
-  const messages = offlineGroupMessages.get(myProfile.fullname);
-  if (messages?.length > 0) {
-    console.log(`\nYou have ${messages.length} offline group message(s):\n`);
-    messages.forEach(msg => {
-      console.log(`  [${msg.groupName}] ${msg.fromName} (${new Date(msg.timestamp).toLocaleString()}): ${msg.message}`);
-    });
-    console.log('');
-    offlineGroupMessages.delete(myProfile.fullname);
-    saveData('groupmessages', offlineGroupMessages);
-  }
-}
+      if (isNaN(choice) || choice < 1 || choice > accounts.length + 1) {
+        console.log('Invalid choice. Please try again\n');
+        resolve(selectOrCreateAccount(rl, accountsFile));
+        return;
+      }
 
-// Broadcast that a group participant left to other group participants who were offline
-function deliverOfflineGroupLeaves() {
-  const leaveEvents = offlineGroupLeaves.get(myProfile.fullname);
-  if (leaveEvents?.length > 0) {
-    console.log(`\nProcessing ${leaveEvents.length} group leave event(s)...\n`);
-    leaveEvents.forEach(event => {
-      const group = groups.get(event.groupId);
-      if (group) {
-        group.participants = group.participants.filter(p => p.fullname !== event.peerFullname);
-        
-        // cleanup empty ones
-        if (group.participants.length === 0 && group.invitations.length === 0) {
-          groups.delete(event.groupId);
-        }
-        
-        // Show notification if we're still in it
-        if (group.participants.some(p => p.fullname === myProfile.fullname)) {
-          console.log(`  ${event.peerName} left "${event.groupName}"`);
-        }
+      if (choice === accounts.length + 1) {
+        resolve({ action: 'register' });
+      } else {
+        resolve({ action: 'login', fullname: accounts[choice - 1].fullname });
       }
     });
-    console.log('');
-    offlineGroupLeaves.delete(myProfile.fullname);
-    saveData('groups', groups);
-    saveData('groupleaves', offlineGroupLeaves);
-  }
-}
-
-// group stuff
-
-function findGroupByName(groupName) {
-  for (const [groupId, group] of groups.entries()) {
-    if (group.name.toLowerCase() === groupName.toLowerCase() && 
-        (group.participants.some(p => p.fullname === myProfile.fullname) || 
-         group.invitations.some(i => i.fullname === myProfile.fullname))) {
-      return { groupId, group };
-    }
-  }
-  return null;
+  });
 }
 
-function createGroup(groupName) {
-  // Prevent creating group with same name
-  for (const [groupId, group] of groups.entries()) {
-    if (group.name.toLowerCase() === groupName.toLowerCase() && 
-        (group.participants.some(p => p.fullname === myProfile.fullname))) {
-      return { success: false, message: `You already have a group named "${groupName}"` };
-    }
-  }
-  
-  const groupId = `${myProfile.fullname}_${groupName.toLowerCase()}`;
-  groups.set(groupId, {
-    name: groupName,
-    creatorName: myProfile.displayName,
-    creatorFullname: myProfile.fullname,
-    participants: [{ name: myProfile.displayName, fullname: myProfile.fullname }],
-    invitations: []
+// Hook the client's events up to the terminal
+function printEvents(client) {
+  client.on('dataLoaded', ({ dataType, count }) => console.log(`Loaded ${count} ${dataType}`));
+  client.on('warning', ({ message }) => console.error(message));
+  client.on('spoof', ({ type, claimedName, peerId }) => {
+    notify(`Dropped spoofed ${type} claiming to be ${claimedName} from ${String(peerId).slice(0, 16)}...`);
+  });
+  client.on('peer:connect', () => notify('Peer connected'));
+  client.on('discovered', ({ peerId }) => notify(`Found ${peerId.slice(0, 16)}... on the LAN, connecting`));
+  client.on('reconnecting', ({ peerId, label, attempt }) => {
+    if (attempt === 1) notify(`Lost ${label || peerId.slice(0, 16)}, will keep trying to reconnect`);
+  });
+  client.on('presence', ({ displayName, online, isFriend, status, statusText }) => {
+    if (isFriend) notify(`Friend ${displayName} is ${online ? formatPresence(status, statusText) : 'offline'}`);
+  });
+  client.on('status', ({ displayName, isFriend, status, statusText }) => {
+    if (isFriend) notify(`Friend ${displayName} is now ${formatPresence(status, statusText)}`);
+  });
+  client.on('queueDelivered', ({ kind, count, displayName }) => {
+    if (kind === 'messages') notify(`Sent ${count} unacknowledged direct message(s) to ${displayName}`);
+    else if (kind === 'groupMessages') notify(`Sent ${count} unacknowledged group message(s) to ${displayName}`);
+    else if (kind === 'friendRequest') notify(`${displayName} is online, sent them your friend request`);
+    else notify(`Delivered ${count} queued group leave event(s) to ${displayName}`);
+  });
+  client.on('forwarded', ({ displayName, count }) => notify(`Handed ${count} stored message(s) to ${displayName}`));
+  client.on('friendRequest', ({ handle }) => notify(`Friend request from ${handle}! Use /requests to view.`));
+  client.on('friendAccept', ({ handle }) => notify(`${handle} accepted your friend request!`));
+  client.on('unfriended', ({ handle }) => notify(`${handle} removed you from their friends`));
+  client.on('message', ({ fromName, message, timestamp }) => {
+    notify(`[${fromName}] (${new Date(timestamp).toLocaleString()}): ${message}`);
+  });
+  client.on('groupInvite', ({ groupName, fromName }) => {
+    notify(`Group invitation from ${fromName} to join "${groupName}"! Use /groupinvites to view`);
+  });
+  client.on('groupJoin', ({ groupName, peerName }) => notify(`${peerName} joined "${groupName}"`));
+  client.on('groupLeave', ({ groupName, peerName }) => notify(`${peerName} left "${groupName}"`));
+  client.on('groupKick', ({ groupName, peerName, byName, wasMe }) => {
+    notify(wasMe ? `${byName} removed you from "${groupName}"` : `${byName} removed ${peerName} from "${groupName}"`);
+  });
+  client.on('groupRole', ({ groupName, peerName, role, byName }) => {
+    notify(role === 'admin' ? `${byName} made ${peerName} an admin of "${groupName}"` : `${byName} removed ${peerName} as an admin of "${groupName}"`);
+  });
+  client.on('groupRename', ({ groupName, oldName, byName }) => notify(`${byName} renamed "${oldName}" to "${groupName}"`));
+  client.on('groupSettings', ({ groupName, invitePolicy, byName }) => {
+    notify(`${byName} set "${groupName}" so ${invitePolicy === 'admins' ? 'only admins' : 'everyone'} can invite`);
+  });
+  client.on('groupMessage', ({ groupName, fromName, message }) => notify(`[${groupName}] ${fromName}: ${message}`));
+  client.on('fileOffer', ({ transferId, fileName, size, fromName, groupName }) => {
+    const where = groupName ? ` in "${groupName}"` : '';
+    notify(`${fromName} wants to send you ${fileName} (${formatSize(size)})${where}. Use /acceptfile ${transferId.slice(0, 8)} to download it`);
+  });
+  // only every quarter of the way so big files don't flood the screen
+  const shownProgress = new Map();
+  client.on('fileProgress', ({ transferId, direction, fileName, received, size }) => {
+    if (direction !== 'in' || size === 0) return;
+    const quarter = Math.floor(received / size * 4);
+    if (quarter > (shownProgress.get(transferId) ?? 0) && received < size) notify(`${fileName}: ${Math.round(received / size * 100)}%`);
+    shownProgress.set(transferId, quarter);
+  });
+  client.on('fileReceived', ({ fileName, savedTo }) => notify(`Downloaded ${fileName} to ${savedTo}`));
+  client.on('filePaused', ({ fileName, fromName }) => notify(`Lost ${fromName} while downloading ${fileName}, it'll resume when they're back`));
+  client.on('fileFailed', ({ fileName, reason }) => notify(`Download of ${fileName} failed: ${reason}`));
+  client.on('fileSent', ({ fileName, peerName }) => notify(`${peerName} finished downloading ${fileName}`));
+  client.on('fileDeclined', ({ fileName, fromName }) => notify(`${fromName} declined ${fileName}`));
+
+  client.on('offlineMessages', ({ messages }) => {
+    notify([`You have ${messages.length} offline message(s):\n`,
+      ...messages.map(msg => `  [${msg.fromName}] (${new Date(msg.timestamp).toLocaleString()}): ${msg.message}`)].join('\n'));
+  });
+  client.on('offlineGroupMessages', ({ messages }) => {
+    notify([`You have ${messages.length} offline group message(s):\n`,
+      ...messages.map(msg => `  [${msg.groupName}] ${msg.fromName} (${new Date(msg.timestamp).toLocaleString()}): ${msg.message}`)].join('\n'));
+  });
+  client.on('offlineGroupLeaves', ({ count, events }) => {
+    notify([`Processing ${count} group leave event(s)...\n`,
+      ...events.map(event => `  ${event.peerName} left "${event.groupName}"`)].join('\n'));
   });
-  saveData('groups', groups);
-  return { success: true, message: `Group "${groupName}" created!` };
 }
 
-function inviteToGroup(groupName, displayName, node) {
-  const found = findGroupByName(groupName);
-  if (!found) return { success: false, message: `Group "${groupName}" not found` };
-  
-  const { groupId, group } = found;
-  if (!group.participants.some(p => p.fullname === myProfile.fullname))
-    return { success: false, message: 'You are not a participant of this group' };
-  
-  const toPeerId = findPeerIdByDisplayName(displayName);
-  if (!toPeerId) return { success: false, message: `Peer "${displayName}" not found or offline` };
-  
-  const peerInfo = onlinePeers.get(toPeerId);
-  if (!friends.has(peerInfo.fullname)) return { success: false, message: 'You can only invite friends' };
-  if (group.participants.some(p => p.fullname === peerInfo.fullname)) return { success: false, message: 'User is already a participant' };
-  if (group.invitations.some(i => i.fullname === peerInfo.fullname)) return { success: false, message: 'User already has a pending invitation' };
-
-  group.invitations.push({ name: peerInfo.displayName, fullname: peerInfo.fullname });
-  saveData('groups', groups);
-
-  publishMessage(GROUP_TOPIC, {
-    type: 'GROUP_INVITE',
-    groupId,
-    groupName: group.name,
-    from: myPeerId,
-    fromName: myProfile.displayName,
-    fromFullname: myProfile.fullname,
-    to: toPeerId,
-    toName: peerInfo.displayName,
-    toFullname: peerInfo.fullname
-  }, node);
-  
-  return { success: true, message: `Invitation sent to ${peerInfo.displayName}` };
+function createClient(config, options = {}) {
+  return new ChatClient({
+    dataDir: config.accountDataDir,
+    accountsFile: config.accountsFile,
+    downloadDir: config.downloadDir,
+    discovery: config.discover,
+    heartbeatInterval: config.heartbeat * 1000,
+    port: config.port,
+    listen: config.listen,
+    wsPort: config.wsPort,
+    webrtc: config.webrtc,
+    relay: config.relay,
+    relays: config.useRelay,
+    ...options
+  });
 }
 
-function handleGroupInvite(groupId, groupName, fromName, fromFullname, toFullname) {
-  if (toFullname !== myProfile.fullname) return;
-
-  let group = groups.get(groupId);
-  if (!group) {
-    group = {
-      name: groupName,
-      creatorName: fromName,
-      creatorFullname: fromFullname,
-      participants: [{ name: fromName, fullname: fromFullname }],
-      invitations: [{ name: myProfile.displayName, fullname: myProfile.fullname }]
-    };
-    groups.set(groupId, group);
-  } else if (!group.invitations.some(i => i.fullname === myProfile.fullname)) {
-    group.invitations.push({ name: myProfile.displayName, fullname: myProfile.fullname });
+// Starts the node and dials the peers from --connect or the config file
+async function startNode(client, config) {
+  await client.createNode();
+  for (const addr of config.connect) {
+    const result = await client.connect(addr);
+    if (!result.success) console.error(result.message);
   }
-  
-  saveData('groups', groups);
-  console.log(`\nGroup invitation from ${fromName} to join "${groupName}"! Use /groupinvites to view`);
-  process.stdout.write('> ');
 }
 
-function acceptGroupInvite(groupName, node) {
-  const found = findGroupByName(groupName);
-  if (!found) return { success: false, message: `Group "${groupName}" not found` };
-  
-  const { groupId, group } = found;
-  if (!group.invitations.find(i => i.fullname === myProfile.fullname)) 
-    return { success: false, message: 'No invitation found' };
-
-  group.invitations = group.invitations.filter(i => i.fullname !== myProfile.fullname);
-  group.participants.push({ name: myProfile.displayName, fullname: myProfile.fullname });
-  saveData('groups', groups);
-
-  publishMessage(GROUP_TOPIC, {
-    type: 'GROUP_JOIN',
-    groupId,
-    groupName: group.name,
-    peerId: myPeerId,
-    peerName: myProfile.displayName,
-    peerFullname: myProfile.fullname
-  }, node);
-  
-  return { success: true, message: `Joined group "${group.name}"` };
-}
+// For everything but the prompt: --account, and the password from PEERCHAT_PASSWORD or
+// --password-file, or asked for when there's a terminal to ask on
+async function loginFromConfig(config) {
+  if (!config.account) {
+    console.error('Needs --account <full name> (or PEERCHAT_ACCOUNT)');
+    process.exit(1);
+  }
+  let password = config.password;
+  if (!password && process.stdin.isTTY) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await new Promise(resolve => rl.question(`Password for ${config.account}: `, resolve));
+    rl.close();
+  }
+  if (!password) {
+    console.error('Needs PEERCHAT_PASSWORD or --password-file <file>');
+    process.exit(1);
+  }
 
-function handleGroupJoin(groupId, peerName, peerFullname) {
-  const group = groups.get(groupId);
-  if (group && !group.participants.some(p => p.fullname === peerFullname)) {
-    group.participants.push({ name: peerName, fullname: peerFullname });
-    saveData('groups', groups);
-    if (group.participants.some(p => p.fullname === myProfile.fullname)) {
-      console.log(`\n${peerName} joined "${group.name}"`);
-      process.stdout.write('> ');
-    }
+  const client = createClient(config);
+  client.on('warning', ({ message }) => console.error(message));
+  const result = await client.login(config.account, password);
+  if (!result.success) {
+    console.error(result.message);
+    process.exit(1);
   }
+  return client;
 }
 
-function rejectGroupInvite(groupName) {
-  const found = findGroupByName(groupName);
-  if (!found) return { success: false, message: `Group "${groupName}" not found` };
-  
-  const { groupId, group } = found;
-  group.invitations = group.invitations.filter(i => i.fullname !== myProfile.fullname);
-  if (group.participants.length === 0 && group.invitations.length === 0) groups.delete(groupId);
-  else saveData('groups', groups);
-  
-  return { success: true, message: 'Invitation rejected' };
+// Resolves true once check() passes, or false after timeout ms. check runs again on every event
+function waitUntil(client, events, check, timeout) {
+  return new Promise(resolve => {
+    const finish = (done) => {
+      clearTimeout(timer);
+      events.forEach(event => client.off(event, listener));
+      resolve(done);
+    };
+    const listener = () => check() && finish(true);
+    const timer = setTimeout(() => finish(false), timeout);
+    events.forEach(event => client.on(event, listener));
+    if (check()) finish(true);
+  });
 }
 
-// User leaves a group
-function leaveGroup(groupName, node) {
-  const found = findGroupByName(groupName);
-  if (!found) return { success: false, message: `Group "${groupName}" not found` };
-  
-  const { groupId, group } = found;
-  if (!group.participants.some(p => p.fullname === myProfile.fullname))
-    return { success: false, message: 'You are not in this group'};
+// Headless mode for bots and other front ends: logs in from flags/env instead of prompting
+// and serves the control API (lib/api.js) on localhost
+async function runDaemon(config) {
+  const client = await loginFromConfig(config);
+  await startNode(client, config);
 
-  group.participants = group.participants.filter(p => p.fullname !== myProfile.fullname);
-  
-  const leaveData = {
-    type: 'GROUP_LEAVE',
-    groupId,
-    groupName: group.name,
-    peerId: myPeerId,
-    peerName: myProfile.displayName,
-    peerFullname: myProfile.fullname
+  let api;
+  const shutdown = async () => {
+    await api?.close();
+    await client.stop();
+    process.exit(0);
   };
-  
-  // Broadcast to online participants
-  publishMessage(GROUP_TOPIC, leaveData, node);
-  
-  // Queue leave events for offline participants
-  group.participants.forEach(participant => {
-    const isOnline = [...onlinePeers.values()].some(peer => peer.fullname === participant.fullname);
-    
-    if (!isOnline && participant.fullname) {
-      if (!offlineGroupLeaves.has(participant.fullname)) {
-        offlineGroupLeaves.set(participant.fullname, []);
-      }
-      offlineGroupLeaves.get(participant.fullname).push({
-        groupId,
-        groupName: group.name,
-        peerId: myPeerId,
-        peerName: myProfile.displayName,
-        peerFullname: myProfile.fullname
-      });
-    }
-  });
-  
-  saveData('groupleaves', offlineGroupLeaves);
-
-  if (group.participants.length === 0) groups.delete(groupId);
-  else saveData('groups', groups);
-  
-  return { success: true, message: `Left group "${group.name}"` };
-}
-
-// Broadcast to other peers that a user has left a group
-function handleGroupLeave(groupId, peerName, peerFullname) {
-  const group = groups.get(groupId);
-  if (group) {
-    group.participants = group.participants.filter(p => p.fullname !== peerFullname);
-    
-    // cleanup empty ones
-    if (group.participants.length === 0 && group.invitations.length === 0) {
-      groups.delete(groupId);
-    }
-    
-    saveData('groups', groups);
-    
-    // only show notification if we're still in it
-    if (group.participants.some(p => p.fullname === myProfile.fullname)) {
-      console.log(`\n${peerName} left "${group.name}"`);
-      process.stdout.write('> ');
-    }
+  api = await startApi(client, { port: config.apiPort, token: config.apiToken, onQuit: shutdown });
+
+  console.log(`Logged in as ${client.getHandle()}, peer ID ${client.peerId}`);
+  client.getMultiaddrs().forEach(addr => console.log(`Listening on ${addr}`));
+  console.log(`API on http://127.0.0.1:${api.port}/rpc and ws://127.0.0.1:${api.port}/ws`);
+  console.log(`API token: ${api.token}`);
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// peerchat send: exits 0 once the message is delivered, or 2 if that didn't happen within
+// --timeout. An undelivered message stays queued and goes out the next time the account runs
+async function runSend(config) {
+  const message = config.args.join(' ');
+  if (!(config.to || config.group) || !message) {
+    console.error('Usage: node peerchat.js send --to <name> <message>, or --group <group> <message>');
+    process.exit(1);
   }
-}
 
-function sendGroupMessage(groupName, message, node) {
-  const found = findGroupByName(groupName);
-  if (!found) return { success: false, message: `Group "${groupName}" not found` };
-  
-  const { groupId, group } = found;
-  if (!group.participants.some(p => p.fullname === myProfile.fullname))
-    return { success: false, message: 'You are not a participant of this group' };
-
-  const msgData = {
-    type: 'GROUP_MESSAGE',
-    groupId,
-    groupName: group.name,
-    from: myPeerId,
-    fromName: myProfile.displayName,
-    fromFullname: myProfile.fullname,
-    message,
-    timestamp: new Date().toISOString()
+  const client = await loginFromConfig(config);
+  await startNode(client, config);
+  const deadline = Date.now() + config.timeout * 1000;
+  const exit = async (code) => {
+    await client.stop();
+    process.exit(code);
   };
 
-  // Send to all online participants
-  publishMessage(GROUP_TOPIC, msgData, node);
-  
-  // queue messages for offline people
-  group.participants.forEach(participant => {
-    if (participant.fullname === myProfile.fullname) return; // skip ourselves
-    
-    const isOnline = [...onlinePeers.values()].some(peer => peer.fullname === participant.fullname);
-    
-    // queue it if they're offline
-    if (!isOnline && participant.fullname) {
-      if (!offlineGroupMessages.has(participant.fullname)) {
-        offlineGroupMessages.set(participant.fullname, []);
-      }
-      offlineGroupMessages.get(participant.fullname).push({
-        groupId,
-        groupName: group.name,
-        fromFullname: myProfile.fullname,
-        fromName: myProfile.displayName,
-        message,
-        timestamp: msgData.timestamp
-      });
+  let result;
+  let conversationId;
+  if (config.to) {
+    const found = client.findPerson(config.to, client.friends);
+    if (!found.success) {
+      console.error(found.ambiguous ? found.message : `Friend "${config.to}" not found`);
+      return exit(1);
     }
-  });
-  
-  saveData('groupmessages', offlineGroupMessages);
-  return { success: true, message: `Message sent to "${group.name}"` };
-}
-
-function handleGroupMessage(groupId, fromName, message, fromFullname) {
-  const group = groups.get(groupId);
-  if (group?.participants.some(p => p.fullname === myProfile.fullname) && fromFullname !== myProfile.fullname) {
-    console.log(`\n[${group.name}] ${fromName}: ${message}`);
-    process.stdout.write('> ');
+    // give them a moment to show up so it goes straight to them instead of the queue
+    await waitUntil(client, ['presence'], () => client.isFriendOnline(found.key), deadline - Date.now());
+    result = client.sendMessage(found.key, message);
+    conversationId = `dm:${found.key}`;
+  } else {
+    result = client.sendGroupMessage(config.group, message);
+    if (result.success) conversationId = `group:${client.findGroup(config.group).groupId}`;
+  }
+  console.log(result.message);
+  if (!result.success) return exit(1);
+
+  const delivered = await waitUntil(client, ['receipt'], () => {
+    const entry = client.findHistoryEntry(conversationId, result.messageId);
+    return entry.recipients !== undefined ? entry.deliveredTo.length >= entry.recipients : ['delivered', 'read'].includes(entry.status);
+  }, Math.max(0, deadline - Date.now()));
+  console.log(delivered ? 'Delivered' : `Not delivered within ${config.timeout}s, it's queued and will go out next time`);
+  return exit(delivered ? 0 : 2);
+}
+
+// peerchat history doesn't need the network, it only reads what's saved
+async function runHistory(config) {
+  const page = config.args.length > 1 && /^\d+$/.test(config.args[config.args.length - 1]) ? parseInt(config.args.pop()) : 1;
+  const name = config.args.join(' ');
+  if (!name) {
+    console.error('Usage: node peerchat.js history <name|group> [page]');
+    process.exit(1);
   }
-}
-
-// setup libp2p node
-
-async function createNode() {
-  const node = await createLibp2p({
-    addresses: {
-      listen: ['/ip4/127.0.0.1/tcp/0']
-    },
-    transports: [tcp()],
-    connectionEncrypters: [noise()],
-    streamMuxers: [yamux()],
-    connectionManager: {
-      minConnections: 0,
-      maxConnections: 50,
-      autoDial: false
-    },
-    services: {
-      identify: identify(),
-      pubsub: gossipsub({
-        allowPublishToZeroTopicPeers: true,
-        emitSelf: false,
-        gossipIncoming: true,
-        fallbackToFloodsub: true
-      })
-    }
-  });
 
-  return node;
+  const client = await loginFromConfig(config);
+  const result = client.getHistory(name, page);
+  console.log(result.message);
+  if (result.success) {
+    result.messages.forEach(entry => {
+      console.log(`  [${entry.fromName}] (${new Date(entry.timestamp).toLocaleString()}): ${entry.message}${formatStatus(entry, client.profile.fullname)}`);
+    });
+  }
+  process.exit(result.success ? 0 : 1);
 }
 
-// Account registration/login
+// Main Function
 
-async function registerAccount(rl) {
-  console.log('\n=== Register New Account ===');
-  
-  const fullname = await new Promise(resolve => rl.question('Enter your full name: ', resolve));
-  if (!fullname || fullname.trim().length === 0) {
-    console.log('Full name cannot be empty. Please try again\n');
-    return registerAccount(rl);
-  }
-  
-  const password = await new Promise(resolve => rl.question('Create a password: ', resolve));
-  if (!password) {
-    console.log('Password cannot be empty. Please try again\n');
-    return registerAccount(rl);
-  }
-  
-  const displayName = await new Promise(resolve => rl.question('Enter your display name (don\'t use spaces): ', resolve));
-  if (!displayName || displayName.trim().length === 0) {
-    console.log('Display name cannot be empty. Please try again\n');
-    return registerAccount(rl);
-  }
-  
+async function main() {
+  let config;
   try {
-    const hash = await new Promise((resolve, reject) => {
-      bcrypt.hash(password, SALT_ROUNDS, (err, hash) => {
-        if (err) reject(err);
-        else resolve(hash);
-      });
-    });
-    
-    return {
-      fullname: fullname.trim(),
-      passwordHash: hash,
-      displayName: displayName.trim()
-    };
+    config = loadConfig();
   } catch (err) {
-    console.log('Error hashing password. Please try again\n');
-    return registerAccount(rl);
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
   }
-}
 
-async function loginAccount(rl, fullname) {
-  const password = await new Promise(resolve => rl.question('Password: ', resolve));
-  if (!password) {
-    console.log('Password cannot be empty\n');
-    return null;
-  }
-  
-  const account = loadJSON(ACCOUNTS_DB_FILE, []).find(acc => acc.fullname === fullname);
-  if (!account) {
-    console.log('Account not found\n');
-    return null;
+  if (config.help) return console.log(USAGE);
+  if (config.command === 'send') return runSend(config);
+  if (config.command === 'history') return runHistory(config);
+  if (config.command) {
+    console.error(`Unknown command "${config.command}"\n\n${USAGE}`);
+    process.exit(1);
   }
-  
-  const match = await new Promise(resolve => {
-    bcrypt.compare(password, account.passwordHash, (_, result) => resolve(result));
-  });
-  
-  if (!match) {
-    console.log('Incorrect password\n');
-    return null;
-  }
-  
-  console.log('Login successful\n');
-  return account;
-}
+  if (config.daemon) return runDaemon(config);
 
-async function selectOrCreateAccount(rl) {
-  const accounts = loadJSON(ACCOUNTS_DB_FILE, []);
-  
-  if (accounts.length === 0) {
-    console.log('\nNo accounts found. Create an accout to get started\n');
-    return { action: 'register' };
-  }
-  
-  console.log('\n=== Account Selection ===');
-  console.log('Select Account:');
-  accounts.forEach((acc, index) => {
-    console.log(`  ${index + 1}. ${acc.fullname} (${acc.displayName})`);
-  });
-  console.log(`  ${accounts.length + 1}. Create new account`);
-  
-  return new Promise((resolve) => {
-    rl.question('\nSelect an account number: ', (answer) => {
-      const choice = parseInt(answer);
-      
-      if (isNaN(choice) || choice < 1 || choice > accounts.length + 1) {
-        console.log('Invalid choice. Please try again\n');
-        resolve(selectOrCreateAccount(rl));
-        return;
-      }
-      
-      if (choice === accounts.length + 1) {
-        resolve({ action: 'register' });
-      } else {
-        resolve({ action: 'login', fullname: accounts[choice - 1].fullname });
-      }
-    });
-  });
-}
-
-// Main Function
-
-async function main() {
   console.log('WELCOME TO PEER THING RAHHHHH\n');
 
-  // Make dat friggin node
-  const node = await createNode();
-  await node.start();
-
-  myPeerId = node.peerId.toString();
-
-  console.log('Node started');
-  console.log('Peer ID:', myPeerId);
-
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
   });
 
-  // Account selection/creation flow
+  const client = createClient(config, { idleLockTimeout: config.lockAfter * 60 * 1000 });
+  printEvents(client);
+  client.on('locked', ({ idle }) => unlockSession(rl, client, idle));
+
+  // Account selection/creation flow, --account skips straight to the password
+  let choice = config.account ? { action: 'login', fullname: config.account } : null;
   while (true) {
-    const choice = await selectOrCreateAccount(rl);
-    
+    choice = choice ?? await selectOrCreateAccount(rl, config.accountsFile);
+
     if (choice.action === 'register') {
-      const accountData = await registerAccount(rl);
-      myProfile = { ...accountData };
-      currentAccountId = accountData.fullname;
-      saveMyProfile();
-      console.log('Account created successfully\n');
+      await registerAccount(rl, client);
       break;
     }
-    
+
     console.log(`\n=== Login as ${choice.fullname} ===`);
-    const loginResult = await loginAccount(rl, choice.fullname);
-    
-    if (loginResult) {
-      myProfile = { ...loginResult };
-      currentAccountId = choice.fullname;
-      saveMyProfile();
-      break;
-    }
-    
+    if (await loginAccount(rl, client, choice.fullname)) break;
+    choice = null;
+
     const retry = await new Promise(resolve =>
       rl.question('Try again? (yes/no): ', answer =>
         resolve(['yes', 'y'].includes(answer.toLowerCase().trim()))
       )
     );
-    
+
     if (!retry) {
       console.log('Quitting');
       rl.close();
-      await node.stop();
       process.exit(0);
     }
   }
 
-  // Load user data
-  loadData(currentAccountId, 'friends', friends);
-  loadData(currentAccountId, 'messages', offlineMessages);
-  loadData(currentAccountId, 'groupmessages', offlineGroupMessages);
-  loadData(currentAccountId, 'groupleaves', offlineGroupLeaves);
-  loadData(currentAccountId, 'groups', groups);
+  // Make dat friggin node, with the same peer ID as last time
+  try {
+    await startNode(client, config);
+  } catch (err) {
+    console.error('Failed to start node:', err.message);
+    rl.close();
+    process.exit(1);
+  }
+
+  console.log('Node started');
+  console.log('Peer ID:', client.peerId);
 
-  console.log(`\nWelcome, ${myProfile.displayName}!\n`);
+  console.log(`\nWelcome, ${client.profile.displayName}!`);
+  console.log(`Your handle is ${client.getHandle()}, friends can find you by it even if someone else has your display name\n`);
   console.log('Conf-chat P2P Network\n');
 
   // Node address to use for connecting
-  const addrs = node.getMultiaddrs();
+  const addrs = client.getMultiaddrs();
   if (addrs.length > 0) {
     console.log('Your node address, share this to connect to peers:');
     addrs.forEach(addr => {
-      console.log(`   ${addr.toString()}`);
+      console.log(`   ${addr}`);
     });
     console.log('');
   }
 
+  if (config.relay) console.log('Relay mode is on, peers can reach each other through this node\n');
+  if (config.discover) console.log('LAN discovery is on, peers on your network will connect automatically\n');
   console.log('Type /help for available commands\n');
 
-  // Subscribe to everything
-  node.services.pubsub.subscribe(PRESENCE_TOPIC);
-  node.services.pubsub.subscribe(FRIEND_TOPIC);
-  node.services.pubsub.subscribe(MESSAGE_TOPIC);
-  node.services.pubsub.subscribe(GROUP_TOPIC);
-
-  // Check for offline messages
-  deliverOfflineMessages(myProfile.fullname);
-  deliverOfflineGroupMessages();
-  deliverOfflineGroupLeaves();
-
-  announcePresence(node);
-
-  // Handle peer connections, event listeners are very intuitive for this
-  node.addEventListener('peer:connect', (evt) => {
-    console.log('\nPeer connected');
-    process.stdout.write('> ');
-    setTimeout(() => announcePresence(node), 500);
-  });
-
-  node.addEventListener('peer:disconnect', (evt) => {
-    const peerInfo = onlinePeers.get(evt.detail.toString());
-    if (peerInfo) {
-      onlinePeers.delete(evt.detail.toString());
-      if (friends.has(peerInfo.fullname)) {
-        console.log(`\nFriend ${peerInfo.displayName} is offline`);
-        process.stdout.write('> ');
-      }
-    }
-  });
-
-  // Announce presence periodically, like a heartbeat to the other nodes
-  setInterval(() => {
-    const peers = node.getPeers();
-    if (peers.length > 0) {
-      announcePresence(node);
-    }
-  }, 30000);
-
-  // Pubsub message handler
-  node.services.pubsub.addEventListener('message', (evt) => {
-    try {
-      const message = JSON.parse(new TextDecoder().decode(evt.detail.data));
-      
-      if (evt.detail.topic === PRESENCE_TOPIC) {
-        if (message.type === 'PRESENCE') {
-          handlePresence(message.peerId, message.displayName, message.fullname, node);
-        }
-      } else if (evt.detail.topic === FRIEND_TOPIC) {
-        if (message.type === 'FRIEND_REQUEST' && message.to === myPeerId) {
-          handleFriendRequest(message.fromName, message.fromFullname);
-        } else if (message.type === 'FRIEND_ACCEPT' && message.to === myPeerId) {
-          handleFriendAccept(message.fromName, message.fromFullname);
-        }
-      } else if (evt.detail.topic === MESSAGE_TOPIC) {
-        if (message.type === 'DIRECT_MESSAGE' && message.toFullname === myProfile.fullname) {
-          handleDirectMessage(message.fromName, message.fromFullname, message.message, message.timestamp);
-        }
-      } else if (evt.detail.topic === GROUP_TOPIC) {
-        if (message.type === 'GROUP_INVITE') {
-          handleGroupInvite(message.groupId, message.groupName, message.fromName, message.fromFullname, message.toFullname);
-        } else if (message.type === 'GROUP_JOIN') {
-          handleGroupJoin(message.groupId, message.peerName, message.peerFullname);
-        } else if (message.type === 'GROUP_LEAVE') {
-          handleGroupLeave(message.groupId, message.peerName, message.peerFullname);
-        } else if (message.type === 'GROUP_MESSAGE') {
-          handleGroupMessage(message.groupId, message.fromName, message.message, message.fromFullname);
-        }
-      }
-    } catch (err) {
-      // ignore bad messages
-    }
-  });
-
   // command line interface
   rl.setPrompt('> ');
   rl.prompt();
 
   rl.on('line', async (line) => {
     const input = line.trim();
+    if (client.locked) return;
+    client.recordActivity();
 
     if (input === '/help') {
       console.log('Available commands:');
       console.log('  /connect <multiaddr> - Connect to another local node');
-      console.log('  /peers - List connected peers');
-      console.log('  /addfriend <display name> - Send friend request');
+      console.log('  /peers - List connected peers, who they are and how you\'re connected');
+      console.log('  /ping <name> - Check the round trip time to a peer');
+      console.log('  /whois <name> - Show a peer\'s ID, addresses, connections and when they were last seen');
+      console.log('  /addressbook - List saved peer addresses');
+      console.log('  /addressbook add <multiaddr> [label] - Save an address to redial on startup');
+      console.log('  /addressbook remove <label|peer id> - Forget a saved address');
+      console.log('  Names with spaces can be "quoted", and anyone can be named by handle (name#abcd) or alias');
+      console.log('  /addfriend <name|peer id> - Send friend request (to someone offline it goes out when they show up)');
       console.log('  /requests - View pending friend requests');
-      console.log('  /accept <display name> - Accept friend request');
-      console.log('  /reject <display name> - Reject friend request');
-      console.log('  /friends - List your friends');
-      console.log('  /msg <display name> <message> - Send private message');
+      console.log('  /sentrequests - View the friend requests you sent that haven\'t been answered');
+      console.log('  /cancelrequest <name|peer id> - Take back a friend request you sent');
+      console.log('  /accept <name> - Accept friend request');
+      console.log('  /reject <name> - Reject friend request');
+      console.log('  /friends - List your friends, their status and when offline ones were last seen');
+      console.log('  /status <online|away|busy> ["text"] - Set the status your peers see');
+      console.log('  /alias <friend> [alias] - Give a friend a nickname only you see (leave it out to clear it)');
+      console.log('  /unfriend <name> - Remove a friend, they get told and anything queued for them is dropped');
+      console.log('  /block <name> - Drop everything from someone: friend requests, messages, invites and files');
+      console.log('  /unblock <name> - Undo /block');
+      console.log('  /blocked - List who you\'ve blocked');
+      console.log('  /msg <name> <message> - Send private message');
       console.log('  /creategroup <name> - Create a group');
-      console.log('  /invitegroup <group name> <display name> - Invite friend to group');
+      console.log('  /invitegroup <group name> <name> - Invite friend to group');
       console.log('  /groupinvites - View group invitations');
       console.log('  /joingroup <group name> - Join a group');
       console.log('  /rejectgroup <group name> - Reject group invitation');
       console.log('  /groups - List your groups');
       console.log('  /groupmsg <group name> <message> - Send group message');
       console.log('  /leavegroup <group name> - Leave a group');
+      console.log('  /kick <group name> <name> - Remove someone from a group (admins)');
+      console.log('  /promote <group name> <name> - Make someone a group admin (admins)');
+      console.log('  /demote <group name> <name> - Take away someone\'s admin role (admins)');
+      console.log('  /invitepolicy <group name> admins|everyone - Choose who may invite to a group (admins)');
+      console.log('  /renamegroup <group name> <new name> - Rename a group (admins)');
+      console.log('  Anywhere a group name goes you can use the start of its ID instead (shown in /groups)');
+      console.log('  /sendfile <name> <path> - Offer a file to a friend');
+      console.log('  /sendgroupfile <group name> <path> - Offer a file to everyone in a group');
+      console.log('  /files - List file transfers');
+      console.log('  /acceptfile <id> - Download a file someone offered you (also resumes a paused one)');
+      console.log('  /declinefile <id> - Turn down a file');
+      console.log('  /history <name|group name> [page] - Show past messages and whether yours were delivered/read');
+      console.log('  /search <text> - Search all your past messages');
+      console.log('  /lock - Lock the session until you enter your password again');
+      console.log('  /passwd - Change your password');
+      console.log('  /deleteaccount - Delete your account and everything saved for it');
       console.log('  /quit - Exit');
     } else if (input.startsWith('/connect ')) {
       const multiaddrStr = input.slice(9).trim();
@@ -926,191 +540,406 @@ async function main() {
         console.log('Usage: /connect <multiaddr>');
         console.log('Example: /connect /ip4/127.0.0.1/tcp/12345/p2p/QmPeerId...');
       } else {
-        try {
-          const ma = multiaddr(multiaddrStr);
-          await node.dial(ma);
-          console.log('Connection initiated');
-        } catch (err) {
-          console.log(`Failed to connect: ${err.message}`);
-        }
+        const result = await client.connect(multiaddrStr);
+        console.log(result.message);
       }
     } else if (input === '/peers') {
-      const peers = node.getPeers();
+      const peers = client.getPeers();
       if (peers.length === 0) {
         console.log('No connected peers');
       } else {
         console.log(`Connected peers (${peers.length}):`);
         peers.forEach((peer) => {
-          const peerStr = peer.toString();
-          console.log(`  ${peerStr.slice(0, 16)}...`);
+          const who = peer.handle ? `${peer.handle}${peer.isFriend ? ' (friend)' : ''}` : '(hasn\'t announced itself)';
+          console.log(`  ${who} ${peer.peerId.slice(0, 16)}... via ${peer.transports.join(', ')}`);
+        });
+      }
+    } else if (input.startsWith('/ping ')) {
+      const name = unquote(input.slice(6));
+      if (!name) {
+        console.log('Usage: /ping <name>');
+      } else {
+        console.log((await client.pingPeer(name)).message);
+      }
+    } else if (input.startsWith('/whois ')) {
+      const name = unquote(input.slice(7));
+      if (!name) {
+        console.log('Usage: /whois <name>');
+      } else {
+        const result = await client.whois(name);
+        console.log(result.message);
+        if (result.success) {
+          if (result.fullname) console.log(`  Display name: ${result.displayName}${result.isFriend ? ' (friend)' : ''}`);
+          console.log(`  Peer ID: ${result.peerId ?? 'unknown'}`);
+          console.log(`  ${result.online ? 'Online' : 'Offline'}${result.lastSeen ? `, last seen ${new Date(result.lastSeen).toLocaleString()}` : ''}`);
+          if (result.connections.length === 0) console.log('  Not connected');
+          result.connections.forEach(conn => {
+            console.log(`  Connected via ${conn.transport} (${conn.direction}${conn.limited ? ', limited by the relay' : ''}) since ${new Date(conn.since).toLocaleTimeString()}: ${conn.remoteAddr}`);
+          });
+          if (result.mesh.length > 0) console.log(`  In the gossip mesh for: ${result.mesh.join(', ')}`);
+          if (result.multiaddrs.length > 0) {
+            console.log('  Known addresses:');
+            result.multiaddrs.forEach(addr => console.log(`    ${addr}`));
+          }
+        }
+      }
+    } else if (input === '/addressbook') {
+      const entries = client.getAddressBook();
+      if (entries.length === 0) {
+        console.log('Your address book is empty');
+      } else {
+        console.log(`Saved addresses (${entries.length}):`);
+        entries.forEach(entry => {
+          const seen = entry.lastSeen ? `last seen ${new Date(entry.lastSeen).toLocaleString()}` : 'added by hand';
+          console.log(`  ${entry.label} (${entry.peerId.slice(0, 16)}...) - ${seen}`);
+          entry.addrs.forEach(addr => console.log(`    ${addr}`));
         });
       }
+    } else if (input.startsWith('/addressbook add ')) {
+      const [multiaddrStr, ...label] = input.slice(17).trim().split(' ');
+      if (!multiaddrStr) {
+        console.log('Usage: /addressbook add <multiaddr> [label]');
+      } else {
+        console.log(client.addAddress(multiaddrStr, label.join(' ')).message);
+      }
+    } else if (input.startsWith('/addressbook remove ')) {
+      const name = input.slice(20).trim();
+      if (!name) {
+        console.log('Usage: /addressbook remove <label|peer id>');
+      } else {
+        console.log(client.removeAddress(name).message);
+      }
     } else if (input.startsWith('/addfriend ')) {
-      const displayName = input.slice(11).trim();
-      if (!displayName) {
-        console.log('Usage: /addfriend <display name>');
+      const name = unquote(input.slice(11));
+      if (!name) {
+        console.log('Usage: /addfriend <name|peer id>');
       } else {
-        const targetPeerId = findPeerIdByDisplayName(displayName);
-        if (targetPeerId) {
-          const result = sendFriendRequest(targetPeerId, node);
+        const found = client.findPerson(name, client.onlinePeers);
+        if (found.success) {
+          const result = client.sendFriendRequest(found.key);
           console.log(result.message);
+        } else if (found.ambiguous) {
+          console.log(found.message);
         } else {
-          console.log(`Peer "${displayName}" not found. Use /peers to see available peers`);
+          // not online, but a peer ID still works and the request waits for them
+          const queued = client.sendFriendRequest(name);
+          console.log(queued.success ? queued.message : `Peer "${name}" not found. Use /peers to see available peers, or give their peer ID`);
         }
       }
     } else if (input === '/requests') {
-      if (friendRequests.size === 0) {
+      if (client.friendRequests.size === 0) {
         console.log('No pending friend requests');
       } else {
         console.log('Pending friend requests:');
-        for (const [fullname, data] of friendRequests.entries()) {
-          console.log(`  ${data.displayName} (${fullname})`);
+        for (const [fullname, data] of client.friendRequests.entries()) {
+          console.log(`  ${client.handleOf(data)} (${fullname})`);
         }
       }
+    } else if (input === '/sentrequests') {
+      const sent = client.getSentRequests();
+      if (sent.length === 0) {
+        console.log('No unanswered friend requests');
+      } else {
+        console.log('Sent friend requests:');
+        sent.forEach(request => {
+          const state = request.delivered ? 'sent' : 'waiting for them to come online';
+          console.log(`  ${request.handle} - ${state} ${new Date(request.sentAt).toLocaleString()}, expires ${new Date(request.expiresAt).toLocaleDateString()}`);
+        });
+      }
+    } else if (input.startsWith('/cancelrequest ')) {
+      const name = unquote(input.slice(15));
+      if (!name) {
+        console.log('Usage: /cancelrequest <name|peer id>');
+      } else {
+        console.log(client.cancelFriendRequest(name).message);
+      }
     } else if (input.startsWith('/accept ')) {
-      const displayName = input.slice(8).trim();
-      if (!displayName) {
-        console.log('Usage: /accept <display name>');
+      const name = unquote(input.slice(8));
+      if (!name) {
+        console.log('Usage: /accept <name>');
       } else {
-        const foundFullname = findFullnameByDisplayName(displayName, friendRequests);
-        if (!foundFullname) {
-          console.log(`No friend request found from "${displayName}"`);
+        const found = client.findPerson(name, client.friendRequests);
+        if (!found.success) {
+          console.log(found.ambiguous ? found.message : `No friend request found from "${name}"`);
         } else {
-          const result = acceptFriendRequest(foundFullname, node);
+          const result = client.acceptFriendRequest(found.key);
           console.log(result.message);
         }
       }
     } else if (input.startsWith('/reject ')) {
-      const displayName = input.slice(8).trim();
-      if (!displayName) {
-        console.log('Usage: /reject <display name>');
+      const name = unquote(input.slice(8));
+      if (!name) {
+        console.log('Usage: /reject <name>');
       } else {
-        const foundFullname = findFullnameByDisplayName(displayName, friendRequests);
-        if (!foundFullname) {
-          console.log(`No friend request found from "${displayName}"`);
+        const found = client.findPerson(name, client.friendRequests);
+        if (!found.success) {
+          console.log(found.ambiguous ? found.message : `No friend request found from "${name}"`);
         } else {
-          const result = rejectFriendRequest(foundFullname);
+          const result = client.rejectFriendRequest(found.key);
           console.log(result.message);
         }
       }
+    } else if (input === '/status' || input.startsWith('/status ')) {
+      const [status, text] = splitArgs(input.slice(7), 2);
+      if (!status) {
+        const current = client.profile.status || 'online';
+        console.log(`Your status is ${formatPresence(current, client.profile.statusText)}. Usage: /status <online|away|busy> ["text"]`);
+      } else {
+        console.log(client.setStatus(status, unquote(text || '')).message);
+      }
     } else if (input === '/friends') {
-      if (friends.size === 0) {
+      if (client.friends.size === 0) {
         console.log('You have no friends yet');
       } else {
-        console.log(`Your friends (${friends.size}):`);
-        for (const [fullname, data] of friends.entries()) {
-          const statusIcon = isFriendOnline(fullname) ? '🟢' : '⚫';
-          console.log(`  ${statusIcon} ${data.displayName} (${fullname})`);
-        }
+        console.log(`Your friends (${client.friends.size}):`);
+        const icons = { online: '🟢', away: '🟡', busy: '🔴', offline: '⚫' };
+        client.getFriends().forEach(friend => {
+          const alias = friend.alias ? ` aka "${friend.alias}"` : '';
+          const status = friend.status === 'offline'
+            ? (friend.lastSeen ? `last seen ${new Date(friend.lastSeen).toLocaleString()}` : 'never seen online')
+            : formatPresence(friend.status, friend.statusText);
+          console.log(`  ${icons[friend.status]} ${friend.handle}${alias} (${friend.fullname}) - ${status}`);
+        });
+      }
+    } else if (input.startsWith('/unfriend ')) {
+      const name = unquote(input.slice(10));
+      console.log(name ? client.unfriend(name).message : 'Usage: /unfriend <name>');
+    } else if (input.startsWith('/block ')) {
+      const name = unquote(input.slice(7));
+      console.log(name ? client.block(name).message : 'Usage: /block <name>');
+    } else if (input.startsWith('/unblock ')) {
+      const name = unquote(input.slice(9));
+      console.log(name ? client.unblock(name).message : 'Usage: /unblock <name>');
+    } else if (input === '/blocked') {
+      const blocked = client.getBlocked();
+      if (blocked.length === 0) {
+        console.log('You haven\'t blocked anyone');
+      } else {
+        console.log(`Blocked (${blocked.length}):`);
+        blocked.forEach(entry => console.log(`  ${entry.handle} (${entry.fullname}) since ${new Date(entry.blockedAt).toLocaleString()}`));
+      }
+    } else if (input.startsWith('/alias ')) {
+      const [name, alias] = splitArgs(input.slice(7), 2);
+      if (!name) {
+        console.log('Usage: /alias <friend> [alias]');
+      } else {
+        console.log(client.setAlias(name, unquote(alias)).message);
       }
     } else if (input.startsWith('/msg ')) {
-      const parts = input.slice(5).trim().split(' ');
-      if (parts.length < 2) {
-        console.log('Usage: /msg <display name> <message>');
+      const [name, message] = splitArgs(input.slice(5), 2);
+      if (!name || !message) {
+        console.log('Usage: /msg <name> <message>');
       } else {
-        const displayName = parts[0];
-        const message = parts.slice(1).join(' ');
-        const foundFullname = findFullnameByDisplayName(displayName, friends);
-        
-        if (!foundFullname) {
-          console.log(`Friend "${displayName}" not found. Use /friends to see your friends list`);
+        const found = client.findPerson(name, client.friends);
+
+        if (!found.success) {
+          console.log(found.ambiguous ? found.message : `Friend "${name}" not found. Use /friends to see your friends list`);
         } else {
-          const result = sendMessage(foundFullname, message, node);
+          // replying means they've seen the conversation
+          client.markRead(name);
+          const result = client.sendMessage(found.key, message);
           console.log(result.message);
         }
       }
     } else if (input.startsWith('/creategroup ')) {
-      const groupName = input.slice(13).trim();
+      const groupName = unquote(input.slice(13));
       if (!groupName) {
         console.log('Usage: /creategroup <name>');
       } else {
-        const result = createGroup(groupName);
+        const result = client.createGroup(groupName);
         console.log(result.message);
       }
     } else if (input.startsWith('/invitegroup ')) {
-      const args = input.slice(13).trim();
-      const firstSpaceIndex = args.indexOf(' ');
-      if (firstSpaceIndex === -1) {
-        console.log('Usage: /invitegroup <group name> <display name>');
+      const [groupName, name] = splitArgs(input.slice(13), 2);
+      if (!unquote(name)) {
+        console.log('Usage: /invitegroup <group name> <name>');
       } else {
-        const groupName = args.slice(0, firstSpaceIndex);
-        const displayName = args.slice(firstSpaceIndex + 1).trim();
-        if (!displayName) {
-          console.log('Usage: /invitegroup <group name> <display name>');
-        } else {
-          const result = inviteToGroup(groupName, displayName, node);
-          console.log(result.message);
-        }
+        const result = client.inviteToGroup(groupName, unquote(name));
+        console.log(result.message);
       }
     } else if (input === '/groupinvites') {
-      const invites = [...groups.entries()]
-        .filter(([groupId, group]) => group.invitations.some(i => i.fullname === myProfile.fullname))
-        .map(([groupId, group]) => ({ groupId, ...group }));
-      
+      const invites = client.getGroups({ invited: true });
+
       if (invites.length === 0) {
         console.log('No pending group invitations');
       } else {
         console.log('Pending group invitations:');
         invites.forEach(group => {
-          console.log(`  "${group.name}" - from ${group.creatorName}`);
+          console.log(`  "${group.name}" (${client.shortGroupId(group.groupId)}) - from ${group.creatorName}`);
         });
       }
     } else if (input.startsWith('/joingroup ')) {
-      const groupName = input.slice(11).trim();
+      const groupName = unquote(input.slice(11));
       if (!groupName) {
         console.log('Usage: /joingroup <group name>');
       } else {
-        const result = acceptGroupInvite(groupName, node);
+        const result = client.acceptGroupInvite(groupName);
         console.log(result.message);
       }
     } else if (input.startsWith('/rejectgroup ')) {
-      const groupName = input.slice(13).trim();
+      const groupName = unquote(input.slice(13));
       if (!groupName) {
         console.log('Usage: /rejectgroup <group name>');
       } else {
-        const result = rejectGroupInvite(groupName);
+        const result = client.rejectGroupInvite(groupName);
         console.log(result.message);
       }
     } else if (input === '/groups') {
-      const myGroups = [...groups.entries()]
-        .filter(([groupId, group]) => group.participants.some(p => p.fullname === myProfile.fullname))
-        .map(([groupId, group]) => ({ groupId, ...group }));
-      
+      const myGroups = client.getGroups();
+
       if (myGroups.length === 0) {
         console.log('You are not in any groups');
       } else {
         console.log('Your groups:');
         myGroups.forEach(group => {
-          console.log(`  "${group.name}"`);
-          console.log(`    Participants: ${group.participants.map(p => p.name).join(', ')}`);
+          const admins = client.getAdmins(group);
+          console.log(`  "${group.name}" (${client.shortGroupId(group.groupId)})`);
+          console.log(`    Participants: ${group.participants.map(p => admins.includes(p.fullname) ? `${p.name} (admin)` : p.name).join(', ')}`);
+          console.log(`    Who can invite: ${group.invitePolicy === 'admins' ? 'admins' : 'everyone'}`);
         });
       }
     } else if (input.startsWith('/groupmsg ')) {
-      const args = input.slice(10).trim();
-      const firstSpaceIndex = args.indexOf(' ');
-      if (firstSpaceIndex === -1) {
+      const [groupName, message] = splitArgs(input.slice(10), 2);
+      if (!message) {
         console.log('Usage: /groupmsg <group name> <message>');
       } else {
-        const groupName = args.slice(0, firstSpaceIndex);
-        const message = args.slice(firstSpaceIndex + 1).trim();
-        if (!message) {
-          console.log('Usage: /groupmsg <group name> <message>');
-        } else {
-          const result = sendGroupMessage(groupName, message, node);
-          console.log(result.message);
-        }
+        client.markRead(groupName);
+        const result = client.sendGroupMessage(groupName, message);
+        console.log(result.message);
       }
     } else if (input.startsWith('/leavegroup ')) {
-      const groupName = input.slice(12).trim();
+      const groupName = unquote(input.slice(12));
       if (!groupName) {
         console.log('Usage: /leavegroup <group name>');
       } else {
-        const result = leaveGroup(groupName, node);
+        const result = client.leaveGroup(groupName);
+        console.log(result.message);
+      }
+    } else if (/^\/(kick|promote|demote) /.test(input)) {
+      const command = input.slice(1, input.indexOf(' '));
+      const [groupName, rest] = splitArgs(input.slice(command.length + 2), 2);
+      const name = unquote(rest);
+      if (!name) {
+        console.log(`Usage: /${command} <group name> <name>`);
+      } else {
+        const result = command === 'kick'
+          ? client.kickFromGroup(groupName, name)
+          : client.setGroupRole(groupName, name, command === 'promote' ? 'admin' : 'member');
+        console.log(result.message);
+      }
+    } else if (input.startsWith('/renamegroup ')) {
+      const [groupName, newName] = splitArgs(input.slice(13), 2);
+      if (!unquote(newName)) {
+        console.log('Usage: /renamegroup <group name> <new name>');
+      } else {
+        const result = client.renameGroup(groupName, unquote(newName));
+        console.log(result.message);
+      }
+    } else if (input.startsWith('/invitepolicy ')) {
+      const [groupName, policy] = splitArgs(input.slice(14), 2);
+      if (!policy) {
+        console.log('Usage: /invitepolicy <group name> admins|everyone');
+      } else {
+        const result = client.setInvitePolicy(groupName, policy);
+        console.log(result.message);
+      }
+    } else if (input.startsWith('/sendfile ')) {
+      const [name, filePath] = splitArgs(input.slice(10), 2);
+      if (!unquote(filePath)) {
+        console.log('Usage: /sendfile <name> <path>');
+      } else {
+        const found = client.findPerson(name, client.friends);
+        if (!found.success) {
+          console.log(found.ambiguous ? found.message : `Friend "${name}" not found. Use /friends to see your friends list`);
+        } else {
+          const result = await client.sendFile(found.key, unquote(filePath));
+          console.log(result.message);
+        }
+      }
+    } else if (input.startsWith('/sendgroupfile ')) {
+      const [groupName, filePath] = splitArgs(input.slice(15), 2);
+      if (!unquote(filePath)) {
+        console.log('Usage: /sendgroupfile <group name> <path>');
+      } else {
+        const result = await client.sendGroupFile(groupName, unquote(filePath));
+        console.log(result.message);
+      }
+    } else if (input === '/files') {
+      const transfers = client.getTransfers();
+      if (transfers.length === 0) {
+        console.log('No file transfers');
+      } else {
+        console.log('File transfers:');
+        transfers.forEach(({ transferId, direction, fileName, size, status, received, fromName, to, groupName }) => {
+          const who = direction === 'in' ? `from ${fromName}` : `to ${groupName ? `"${groupName}"` : to}`;
+          let state = direction === 'out' ? 'offered' : status;
+          if (['downloading', 'paused'].includes(status)) state += ` ${Math.floor(received / size * 100)}%`;
+          console.log(`  [${transferId.slice(0, 8)}] ${fileName} (${formatSize(size)}) ${who} - ${state}`);
+        });
+      }
+    } else if (input.startsWith('/acceptfile ')) {
+      console.log(client.acceptFile(input.slice(12)).message);
+    } else if (input.startsWith('/declinefile ')) {
+      console.log(client.declineFile(input.slice(13)).message);
+    } else if (input.startsWith('/history ')) {
+      const parts = input.slice(9).trim().split(' ');
+      const page = parts.length > 1 && /^\d+$/.test(parts[parts.length - 1]) ? parseInt(parts.pop()) : 1;
+      const name = unquote(parts.join(' '));
+      if (!name) {
+        console.log('Usage: /history <name|group name> [page]');
+      } else {
+        const result = client.getHistory(name, page);
         console.log(result.message);
+        if (result.success) {
+          result.messages.forEach(entry => {
+            console.log(`  [${entry.fromName}] (${new Date(entry.timestamp).toLocaleString()}): ${entry.message}${formatStatus(entry, client.profile.fullname)}`);
+          });
+          client.markRead(name);
+          if (result.page < result.pages) console.log(`Use /history ${name} ${result.page + 1} for older messages`);
+        }
+      }
+    } else if (input.startsWith('/search ')) {
+      const text = input.slice(8).trim();
+      if (!text) {
+        console.log('Usage: /search <text>');
+      } else {
+        const results = client.searchHistory(text);
+        if (results.length === 0) {
+          console.log(`No messages found containing "${text}"`);
+        } else {
+          console.log(`Found ${results.length} message(s):`);
+          results.forEach(entry => {
+            const where = entry.type === 'group' ? `[${entry.name}] ` : `(with ${entry.name}) `;
+            console.log(`  ${where}${entry.fromName} (${new Date(entry.timestamp).toLocaleString()}): ${entry.message}`);
+          });
+        }
+      }
+    } else if (input === '/lock') {
+      // unlockSession takes over the prompt from here
+      client.lock();
+      return;
+    } else if (input === '/passwd') {
+      const currentPassword = await new Promise(resolve => rl.question('Current password: ', resolve));
+      const newPassword = await new Promise(resolve => rl.question('New password: ', resolve));
+      const confirmPassword = await new Promise(resolve => rl.question('Confirm new password: ', resolve));
+      if (newPassword !== confirmPassword) {
+        console.log('Passwords don\'t match');
+      } else {
+        const result = await client.changePassword(currentPassword, newPassword);
+        console.log(result.message);
+      }
+    } else if (input === '/deleteaccount') {
+      console.log(`This deletes ${client.profile.fullname} and all of its friends, groups and history from this machine`);
+      const password = await new Promise(resolve => rl.question('Enter your password to confirm: ', resolve));
+      const result = await client.deleteAccount(password);
+      console.log(result.message);
+      if (result.success) {
+        rl.close();
+        process.exit(0);
       }
     } else if (input === '/quit') {
       rl.close();
-      await node.stop();
+      await client.stop();
       process.exit(0);
     } else if (input.length > 0) {
       console.log('Unknown command. Use /help to see avalible commands');
@@ -1121,7 +950,7 @@ async function main() {
 
   rl.on('close', async () => {
     console.log('\nQuitting');
-    await node.stop();
+    await client.stop();
     process.exit(0);
   });
 }
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ChatClient } from '../lib/chat-client.js';
+import { loadAccounts, saveAccount } from '../lib/accounts.js';
+import { PASSWORD, startClient, restartClient, stopClients, connectClients, makeFriends, waitForEvent } from './helpers.js';
+
+function accountFiles(client) {
+  return fs.readdirSync(client.dataDir).filter(file => file.startsWith(`${client.profile.fullname}_`));
+}
+
+async function loginWith(client, password) {
+  const next = new ChatClient({ dataDir: client.dataDir, accountsFile: client.accountsFile });
+  const result = await next.login(client.profile.fullname, password);
+  next.testDir = client.testDir;
+  return { next, result };
+}
+
+test('account data is encrypted at rest and older plain files still load', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    const friendsFile = bob.dataFile('friends');
+    const onDisk = fs.readFileSync(friendsFile, 'utf8');
+    assert.ok(JSON.parse(onDisk).encrypted);
+    assert.ok(!onDisk.includes(alice.profile.fullname));
+    assert.ok(!fs.readFileSync(bob.dataFile('keys'), 'utf8').includes(bob.keys.privateKey));
+
+    // an account from before encryption: plain files and no salt
+    fs.writeFileSync(friendsFile, JSON.stringify([...bob.friends.entries()]));
+    const accounts = loadAccounts(bob.accountsFile).map(({ dataSalt, ...account }) => account);
+    fs.writeFileSync(bob.accountsFile, JSON.stringify(accounts));
+
+    bob = await restartClient(bob);
+    assert.ok(bob.friends.has(alice.profile.fullname));
+    assert.ok(JSON.parse(fs.readFileSync(friendsFile, 'utf8')).encrypted);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('changing the password keeps the data and peer ID', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  let next;
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    assert.equal((await bob.changePassword('wrong', 'new-password')).message, 'Incorrect password');
+    assert.equal((await bob.changePassword(PASSWORD, '')).success, false);
+    assert.equal((await bob.changePassword(PASSWORD, 'new-password')).success, true);
+    await bob.stop();
+
+    assert.equal((await loginWith(bob, PASSWORD)).result.message, 'Incorrect password');
+    ({ next } = await loginWith(bob, 'new-password'));
+    assert.ok(next.friends.has(alice.profile.fullname));
+    assert.equal(next.keys.signingPrivateKey, bob.keys.signingPrivateKey);
+    await next.createNode();
+    assert.equal(next.peerId, bob.peerId);
+  } finally {
+    await stopClients(alice, next ?? bob);
+  }
+});
+
+test('deleting an account removes it and all its files', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob', alice.testDir);
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    assert.ok(accountFiles(bob).length > 0);
+
+    assert.equal((await bob.deleteAccount('wrong')).message, 'Incorrect password');
+    assert.equal((await bob.deleteAccount(PASSWORD)).success, true);
+
+    assert.deepEqual(accountFiles(bob), []);
+    assert.deepEqual(loadAccounts(bob.accountsFile).map(acc => acc.fullname), [alice.profile.fullname]);
+    assert.ok(accountFiles(alice).length > 0);
+  } finally {
+    await stopClients(alice);
+  }
+});
+
+test('failed logins back off exponentially and the count survives restarts', async () => {
+  const alice = await startClient('Alice');
+  try {
+    const account = () => loadAccounts(alice.accountsFile)[0];
+    const expireLockout = () => saveAccount(alice.accountsFile, { ...account(), lockedUntil: Date.now() - 1 });
+
+    assert.equal((await loginWith(alice, 'wrong')).result.message, 'Incorrect password');
+    assert.equal((await loginWith(alice, 'wrong')).result.message, 'Incorrect password');
+    const third = (await loginWith(alice, 'wrong')).result;
+    assert.equal(third.locked, true);
+    assert.equal(third.retryAfter, 30000);
+
+    // even the right password is turned away during a lockout
+    assert.match((await loginWith(alice, PASSWORD)).result.message, /^Too many failed attempts, try again in \d+s$/);
+
+    expireLockout();
+    assert.equal((await loginWith(alice, 'wrong')).result.retryAfter, 60000);
+    assert.equal(account().failedLogins, 4);
+
+    expireLockout();
+    assert.equal((await loginWith(alice, PASSWORD)).result.success, true);
+    assert.equal(account().failedLogins, undefined);
+    assert.equal(account().lockedUntil, undefined);
+  } finally {
+    await stopClients(alice);
+  }
+});
+
+test('locking the session, by hand or after being idle', async () => {
+  const alice = await startClient('Alice', undefined, { idleLockTimeout: 300 });
+  try {
+    const { idle } = await waitForEvent(alice, 'locked');
+    assert.equal(idle, true);
+    assert.equal(alice.lock().message, 'Session is already locked');
+
+    assert.equal((await alice.unlock('wrong')).message, 'Incorrect password');
+    const unlocked = waitForEvent(alice, 'unlocked');
+    assert.equal((await alice.unlock(PASSWORD)).success, true);
+    await unlocked;
+    assert.equal(alice.locked, false);
+
+    // activity keeps pushing the idle lock back
+    for (let i = 0; i < 4; i++) {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      alice.recordActivity();
+    }
+    assert.equal(alice.locked, false);
+
+    const locked = waitForEvent(alice, 'locked');
+    assert.equal(alice.lock().success, true);
+    assert.equal((await locked).idle, false);
+  } finally {
+    await stopClients(alice);
+  }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+test('friends are redialed from the address book after a restart', async () => {
+  let alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    alice.announcePresence();
+    await waitFor(() => bob.addressBook.has(alice.peerId), { message: 'Bob to save Alice\'s addresses' });
+    assert.deepEqual(bob.addressBook.get(alice.peerId).addrs, alice.getMultiaddrs());
+
+    // junk in a presence isn't saved, and junk saved before that was checked doesn't stop a start
+    bob.handlePresence(alice.peerId, 'Alice', alice.profile.fullname, alice.keys.signingPublicKey, ['garbage', ...alice.getMultiaddrs()]);
+    assert.deepEqual(bob.addressBook.get(alice.peerId).addrs, alice.getMultiaddrs());
+    bob.addressBook.get(alice.peerId).addrs.unshift('garbage');
+    bob.saveData('addressbook', bob.addressBook);
+
+    // bob comes back on his own and dials alice without any help
+    await bob.stop();
+    bob = await restartClient(bob);
+    assert.equal(bob.getAddressBook()[0].label, 'Alice');
+    await waitFor(() => bob.isFriendOnline(alice.profile.fullname) && alice.isFriendOnline(bob.profile.fullname), { message: 'the friends to reconnect' });
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('a dropped friend is retried with backoff', async () => {
+  let alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    alice.announcePresence();
+    await waitFor(() => bob.addressBook.has(alice.peerId), { message: 'Bob to save Alice\'s addresses' });
+
+    const retrying = waitForEvent(bob, 'reconnecting');
+    await alice.stop();
+    const { attempt, delay } = await retrying;
+    assert.equal(attempt, 1);
+    assert.equal(delay, 1000);
+
+    alice = await restartClient(alice);
+    await waitFor(() => bob.isFriendOnline(alice.profile.fullname), { timeout: 20000, message: 'Bob to redial Alice' });
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('adding and removing address book entries by hand', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    assert.equal(alice.addAddress('/ip4/127.0.0.1/tcp/1').success, false);
+    assert.equal(alice.addAddress('not an address').success, false);
+
+    assert.equal(alice.addAddress(bob.getMultiaddrs()[0], 'bobs-laptop').success, true);
+    assert.equal(alice.getAddressBook()[0].label, 'bobs-laptop');
+    assert.equal(alice.getAddressBook()[0].peerId, bob.peerId);
+
+    assert.equal(alice.removeAddress('nobody').success, false);
+    assert.equal(alice.removeAddress('bobs-laptop').success, true);
+    assert.equal(alice.getAddressBook().length, 0);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { signEnvelope } from '../lib/crypto.js';
+import { startClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+// Alice creates "standup" and brings in Bob and Carol
+async function startGroup() {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  await connectClients(alice, bob);
+  await connectClients(alice, carol);
+  await connectClients(bob, carol);
+  await makeFriends(alice, bob);
+  await makeFriends(alice, carol);
+  alice.createGroup('standup');
+
+  for (const member of [bob, carol]) {
+    const invited = waitForEvent(member, 'groupInvite');
+    alice.inviteToGroup('standup', member.profile.displayName);
+    await invited;
+    const joined = waitForEvent(alice, 'groupJoin');
+    member.acceptGroupInvite('standup');
+    await joined;
+  }
+  await waitFor(() => bob.findGroupByName('standup').group.participants.length === 3, { message: 'Bob to see Carol join' });
+  return { alice, bob, carol };
+}
+
+test('admins can kick and kicked members are ignored', async () => {
+  const { alice, bob, carol } = await startGroup();
+  try {
+    const { groupId } = alice.findGroupByName('standup');
+    assert.equal(bob.kickFromGroup('standup', 'Carol').message, 'Only admins can kick people');
+
+    const carolKicked = waitForEvent(carol, 'groupKick');
+    const bobSaw = waitForEvent(bob, 'groupKick');
+    assert.equal(alice.kickFromGroup('standup', 'Carol').success, true);
+    assert.equal((await carolKicked).wasMe, true);
+    assert.equal((await bobSaw).peerName, 'Carol');
+
+    assert.deepEqual(bob.findGroupByName('standup').group.participants.map(p => p.name), ['Alice', 'Bob']);
+    assert.equal(carol.getGroups().length, 0);
+    assert.ok(!carol.node.services.pubsub.getTopics().includes(carol.groupTopic(groupId)));
+
+    let shown = false;
+    bob.on('groupMessage', () => { shown = true; });
+    bob.handleGroupMessage(groupId, 'Carol', 'still here', carol.profile.fullname, new Date().toISOString(), 'kicked-1');
+    assert.equal(shown, false);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('promoting and demoting admins', async () => {
+  const { alice, bob, carol } = await startGroup();
+  try {
+    const promoted = waitForEvent(carol, 'groupRole');
+    assert.equal(alice.setGroupRole('standup', 'Bob', 'admin').success, true);
+    assert.equal((await promoted).role, 'admin');
+    await waitFor(() => bob.isAdmin(bob.findGroupByName('standup').group), { message: 'Bob to become an admin' });
+
+    assert.equal(bob.setGroupRole('standup', 'Alice', 'member').message, 'The group creator can\'t be demoted');
+    assert.equal(bob.kickFromGroup('standup', 'Alice').message, 'Alice is an admin, demote them first');
+
+    const demoted = waitForEvent(bob, 'groupRole');
+    assert.equal(alice.setGroupRole('standup', 'Bob', 'member').success, true);
+    assert.equal((await demoted).role, 'member');
+    assert.deepEqual(bob.getAdmins(bob.findGroupByName('standup').group), [alice.profile.fullname]);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('invite policy and changes from non-admins', async () => {
+  const { alice, bob, carol } = await startGroup();
+  try {
+    const { groupId, group } = alice.findGroupByName('standup');
+    await makeFriends(bob, carol);
+
+    const changed = waitForEvent(bob, 'groupSettings');
+    assert.equal(alice.setInvitePolicy('standup', 'admins').success, true);
+    assert.equal((await changed).invitePolicy, 'admins');
+    assert.equal(bob.setInvitePolicy('standup', 'everyone').message, 'Only admins can change who may invite');
+
+    // a leave lets bob try to bring carol back in
+    carol.leaveGroup('standup');
+    await waitFor(() => !bob.isParticipant(bob.findGroupByName('standup').group, carol.profile.fullname), { message: 'Carol to leave' });
+    assert.equal(bob.inviteToGroup('standup', 'Carol').message, 'Only admins can invite to this group');
+
+    // ops that don't come from an admin, or joins nobody invited, end up in the log but change nothing
+    const bobGroup = bob.findGroupByName('standup').group;
+    const from = { from: bob.peerId, fromName: 'Bob', fromFullname: bob.profile.fullname };
+    bob.publishGroupOp(groupId, bobGroup, { type: 'GROUP_SETTINGS', ...from, invitePolicy: 'everyone' });
+    bob.publishGroupOp(groupId, bobGroup, { type: 'GROUP_KICK', ...from, peerName: 'Alice', peerFullname: alice.profile.fullname });
+    bob.publishGroupOp(groupId, bobGroup, { type: 'GROUP_JOIN', peerId: bob.peerId, peerName: 'Mallory', peerFullname: 'Mallory Test' });
+    await waitFor(() => alice.groupDigest(group).hash === bob.groupDigest(bobGroup).hash, { message: 'Alice to get Bob\'s ops' });
+
+    assert.equal(group.invitePolicy, 'admins');
+    assert.ok(alice.isParticipant(group));
+    assert.ok(!alice.isParticipant(group, 'Mallory Test'));
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('the longest standing member takes over when the last admin leaves', async () => {
+  const { alice, bob, carol } = await startGroup();
+  try {
+    const left = waitForEvent(carol, 'groupLeave');
+    alice.leaveGroup('standup');
+    await left;
+    assert.deepEqual(carol.getAdmins(carol.findGroupByName('standup').group), [bob.profile.fullname]);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('ops signed as an admin with someone else\'s key are ignored', async () => {
+  const { alice, bob, carol } = await startGroup();
+  const dave = await startClient('Dave');
+  try {
+    // Dave only knows Bob, so once Alice is gone he has no key of hers to check against
+    await connectClients(bob, dave);
+    await makeFriends(bob, dave);
+    const invited = waitForEvent(dave, 'groupInvite');
+    bob.inviteToGroup('standup', 'Dave');
+    await invited;
+    dave.acceptGroupInvite('standup');
+    await waitFor(() => bob.findGroupByName('standup').group.participants.length === 4, { message: 'Dave to join' });
+    await alice.stop();
+    await waitFor(() => ![...dave.onlinePeers.values()].some(peer => peer.fullname === alice.profile.fullname), { message: 'Alice to go offline' });
+
+    const { groupId, group } = bob.findGroupByName('standup');
+    const forge = (data) => signEnvelope(bob.groupTopic(groupId), {
+      ...data,
+      opId: randomUUID(),
+      clock: bob.nextClock(group),
+      groupId,
+      groupName: group.name,
+      from: bob.peerId,
+      fromName: 'Alice',
+      fromFullname: alice.profile.fullname,
+      timestamp: new Date().toISOString()
+    }, bob.peerId, bob.keys);
+    const forged = [
+      forge({ type: 'GROUP_KICK', peerName: 'Carol', peerFullname: carol.profile.fullname }),
+      forge({ type: 'GROUP_ROLE', peerName: 'Bob', peerFullname: bob.profile.fullname, role: 'admin' })
+    ];
+    forged.forEach(envelope => bob.publishEnvelope(bob.groupTopic(groupId), envelope));
+
+    await waitFor(() => dave.findGroupByName('standup').group.log.length === group.log.length + 2, { message: 'Dave to get the forged ops' });
+    const davesGroup = dave.findGroupByName('standup').group;
+    assert.ok(dave.isParticipant(davesGroup, carol.profile.fullname));
+    assert.deepEqual(dave.getAdmins(davesGroup), [alice.profile.fullname]);
+    assert.deepEqual(davesGroup.participants, carol.findGroupByName('standup').group.participants);
+  } finally {
+    await stopClients(alice, bob, carol, dave);
+  }
+});
+
+test('a demoted admin can\'t backdate an op to before the demotion', async () => {
+  const { alice, bob, carol } = await startGroup();
+  try {
+    const { groupId, group } = alice.findGroupByName('standup');
+    const roleChanged = () => waitForEvent(carol, 'groupRole');
+    let changed = roleChanged();
+    alice.setGroupRole('standup', 'Bob', 'admin');
+    await changed;
+    const promotion = alice.groupHeads(group);
+    const renamed = waitForEvent(carol, 'groupRename');
+    alice.renameGroup('standup', 'retro');
+    await renamed;
+    changed = roleChanged();
+    alice.setGroupRole('retro', 'Bob', 'member');
+    await changed;
+    await waitFor(() => bob.findGroupByName('retro').group.log.length === group.log.length, { message: 'Bob to see his demotion' });
+
+    const demotion = group.log.map(envelope => alice.opOf(envelope)).find(op => op.type === 'GROUP_ROLE' && op.role === 'member');
+    const kick = (clock, after) => signEnvelope(bob.groupTopic(groupId), {
+      type: 'GROUP_KICK',
+      opId: randomUUID(),
+      clock,
+      after,
+      groupId,
+      groupName: 'retro',
+      from: bob.peerId,
+      fromName: 'Bob',
+      fromFullname: bob.profile.fullname,
+      peerName: 'Carol',
+      peerFullname: carol.profile.fullname,
+      timestamp: new Date().toISOString()
+    }, bob.peerId, bob.keys);
+    // one leaves the demotion out, the other admits to it but still goes in before it
+    const forged = [kick(demotion.clock - 1, promotion), kick(demotion.clock - 1, [demotion.opId])];
+    forged.forEach(envelope => bob.publishEnvelope(bob.groupTopic(groupId), envelope));
+
+    const expected = group.log.length + 2;
+    await waitFor(() => group.log.length === expected && carol.findGroupByName('retro').group.log.length === expected, { message: 'the forged kicks to arrive' });
+    assert.ok(alice.isParticipant(group, carol.profile.fullname));
+    assert.ok(carol.isParticipant(carol.findGroupByName('retro').group));
+    assert.deepEqual(alice.getAdmins(group), [alice.profile.fullname]);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { startApi } from '../lib/api.js';
+import { PASSWORD, startClient, stopClients, connectClients, makeFriends, waitFor } from './helpers.js';
+
+function rpc(api, method, params, token = api.token) {
+  return fetch(`http://127.0.0.1:${api.port}/rpc`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  }).then(async res => ({ status: res.status, ...(await res.json()) }));
+}
+
+test('slash command operations over HTTP JSON-RPC', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const api = await startApi(alice);
+  try {
+    await connectClients(alice, bob);
+
+    assert.equal((await rpc(api, 'whoami', {}, 'wrong')).status, 401);
+    // as many characters as the real token but twice the bytes
+    const multibyte = await fetch(`http://127.0.0.1:${api.port}/rpc?token=${'é'.repeat(api.token.length)}`, { method: 'POST', body: '{}' });
+    assert.equal(multibyte.status, 401);
+    assert.equal((await rpc(api, 'whoami')).result.handle, alice.getHandle());
+    assert.equal((await rpc(api, 'nope')).error.code, -32601);
+    assert.equal((await rpc(api, 'sendMessage', { to: 'Bob' })).error.message, 'Missing params: message');
+
+    const peers = (await rpc(api, 'peers')).result;
+    assert.equal(peers[0].displayName, 'Bob');
+    assert.equal((await rpc(api, 'addFriend', { name: 'Bob' })).result.success, true);
+    await waitFor(() => bob.friendRequests.size === 1, { message: 'the friend request' });
+    bob.acceptFriendRequest(alice.profile.fullname);
+    await waitFor(() => alice.friends.size === 1, { message: 'the accept' });
+
+    assert.equal((await rpc(api, 'friends')).result[0].handle, bob.getHandle());
+    assert.equal((await rpc(api, 'sendMessage', { to: 'Bob', message: 'sent from a bot' })).result.success, true);
+    await waitFor(() => bob.getHistory('Alice').messages?.length === 1, { message: 'Bob to get it' });
+
+    assert.equal((await rpc(api, 'createGroup', { name: 'bots' })).result.success, true);
+    const [group] = (await rpc(api, 'groups')).result;
+    assert.equal(group.name, 'bots');
+    assert.equal(group.log, undefined);
+  } finally {
+    await api.close();
+    await stopClients(alice, bob);
+  }
+});
+
+test('events stream over the WebSocket, which takes requests too', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const api = await startApi(alice);
+  const ws = new WebSocket(`ws://127.0.0.1:${api.port}/ws?token=${api.token}`);
+  try {
+    const received = [];
+    ws.on('message', data => received.push(JSON.parse(data.toString())));
+    await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    bob.sendMessage(alice.profile.fullname, 'hi bot');
+    const event = await waitFor(() => received.find(msg => msg.params?.event === 'message'), { message: 'the message event' });
+    assert.equal(event.method, 'event');
+    assert.equal(event.params.data.message, 'hi bot');
+
+    ws.send(JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'history', params: { name: 'Bob' } }));
+    const reply = await waitFor(() => received.find(msg => msg.id === 7), { message: 'the history reply' });
+    assert.equal(reply.result.messages[0].message, 'hi bot');
+  } finally {
+    ws.terminate();
+    await api.close();
+    await stopClients(alice, bob);
+  }
+});
+
+test('a locked session only answers unlock', async () => {
+  const alice = await startClient('Alice');
+  const api = await startApi(alice);
+  try {
+    assert.equal((await rpc(api, 'lock')).result.success, true);
+    assert.equal((await rpc(api, 'friends')).error.message, 'Session is locked, call unlock first');
+    assert.equal((await rpc(api, 'unlock', { password: PASSWORD })).result.success, true);
+    assert.deepEqual((await rpc(api, 'friends')).result, []);
+  } finally {
+    await api.close();
+    await stopClients(alice);
+  }
+});
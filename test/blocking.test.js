@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('unfriending tells the other side', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    const unfriended = waitForEvent(bob, 'unfriended');
+    assert.equal(alice.unfriend('Bob').message, `Removed ${bob.getHandle()} from your friends`);
+    assert.equal((await unfriended).handle, alice.getHandle());
+    assert.equal(bob.friends.size, 0);
+    assert.equal(alice.friends.size, 0);
+    assert.equal(alice.sendMessage(bob.profile.fullname, 'hello?').message, 'You can only message friends');
+    assert.equal(alice.unfriend('Bob').message, 'Friend "Bob" not found');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('unfriending someone offline drops their queue and reaches them later', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(carol, alice);
+    await connectClients(carol, bob);
+    await makeFriends(alice, bob);
+    await makeFriends(carol, bob);
+    await makeFriends(alice, carol);
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+    alice.sendMessage(bob.profile.fullname, 'never mind');
+    assert.equal(alice.offlineMessages.get(bob.profile.fullname).length, 1);
+
+    alice.unfriend('Bob');
+    assert.equal(alice.offlineMessages.has(bob.profile.fullname), false);
+    await waitFor(() => carol.storedEnvelopes.get(bob.profile.fullname)?.length === 2, { message: 'Carol to hold both envelopes' });
+
+    // Carol forwards what she held for Bob once he's back
+    bob = await restartClient(bob);
+    const unfriended = waitForEvent(bob, 'unfriended');
+    await connectClients(carol, bob);
+    assert.equal((await unfriended).fullname, alice.profile.fullname);
+    assert.equal(bob.friends.has(alice.profile.fullname), false);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('blocking unfriends, drops their friend requests silently and survives a restart', async () => {
+  let alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    const unfriended = waitForEvent(bob, 'unfriended');
+    assert.equal(alice.block('Bob').message, `Blocked ${bob.getHandle()}, you won't hear from them anymore`);
+    await unfriended;
+    assert.equal(alice.block('Bob').message, `${bob.getHandle()} is already blocked`);
+    assert.equal(alice.sendFriendRequest(bob.peerId).success, false);
+
+    let heard = 0;
+    alice.on('friendRequest', () => heard++);
+    for (let i = 0; i < 3; i++) {
+      bob.sentRequests.clear();
+      assert.equal(bob.sendFriendRequest(alice.peerId).success, true);
+    }
+    await pause(1000);
+    assert.equal(heard, 0);
+    assert.equal(alice.friendRequests.size, 0);
+
+    // the blocklist is saved with the account
+    alice = await restartClient(alice);
+    assert.deepEqual(alice.getBlocked().map(entry => entry.handle), [bob.getHandle()]);
+    assert.equal(alice.unblock('Bob').message, `Unblocked ${bob.getHandle()}`);
+    assert.deepEqual(alice.getBlocked(), []);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('someone blocked in a shared group isn\'t heard there either', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(alice, carol);
+    await connectClients(bob, carol);
+    await makeFriends(alice, bob);
+    await makeFriends(alice, carol);
+    alice.createGroup('standup');
+    for (const member of [bob, carol]) {
+      const invited = waitForEvent(member, 'groupInvite');
+      alice.inviteToGroup('standup', member.profile.displayName);
+      await invited;
+      const joined = waitForEvent(alice, 'groupJoin');
+      member.acceptGroupInvite('standup');
+      await joined;
+    }
+    await waitFor(() => carol.findGroupByName('standup').group.participants.length === 3, { message: 'Carol to see Bob join' });
+
+    assert.equal(carol.block('Bob').success, true);
+    let heard = 0;
+    carol.on('groupMessage', () => heard++);
+    carol.on('fileOffer', () => heard++);
+
+    const received = waitForEvent(alice, 'groupMessage');
+    bob.sendGroupMessage('standup', 'can anyone hear me');
+    await received;
+    const file = path.join(bob.testDir, 'notes.txt');
+    fs.writeFileSync(file, 'notes');
+    const offered = waitForEvent(alice, 'fileOffer');
+    await bob.sendGroupFile('standup', file);
+    await offered;
+
+    await pause(500);
+    assert.equal(heard, 0);
+    assert.equal(carol.getHistory('standup').messages?.length ?? 0, 0);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
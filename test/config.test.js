@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../lib/config.js';
+import { PRESENCE_TOPIC } from '../lib/chat-client.js';
+import { PASSWORD, startClient, stopClients, connectClients, makeFriends } from './helpers.js';
+
+const PEERCHAT = path.join(import.meta.dirname, '..', 'peerchat.js');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'peerchat-'));
+}
+
+// Runs the CLI and resolves with its exit code and output, whatever the code
+function runPeerchat(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [PEERCHAT, ...args], { env: { ...process.env, ...env }, timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('flags win over the environment, which wins over the config file', () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'peerchat.json');
+    fs.writeFileSync(file, JSON.stringify({ dataDir: 'alice', account: 'From File', port: 4001, heartbeat: 5, connect: ['/ip4/127.0.0.1/tcp/4002'] }));
+
+    const fromFile = loadConfig(['--config', file], {});
+    assert.equal(fromFile.dataDir, path.join(dir, 'alice'));
+    assert.equal(fromFile.accountsFile, path.join(dir, 'alice', 'accounts.json'));
+    assert.equal(fromFile.account, 'From File');
+    assert.equal(fromFile.port, 4001);
+    assert.equal(fromFile.heartbeat, 5);
+    assert.deepEqual(fromFile.connect, ['/ip4/127.0.0.1/tcp/4002']);
+    assert.equal(fromFile.lockAfter, 15);
+
+    const env = { PEERCHAT_CONFIG: file, PEERCHAT_ACCOUNT: 'From Env' };
+    assert.equal(loadConfig([], env).account, 'From Env');
+    const flags = loadConfig(['send', '--account', 'From Flag', '--port', '0', '--to', 'Bob', 'hi', 'there'], env);
+    assert.equal(flags.account, 'From Flag');
+    assert.equal(flags.port, 0);
+    assert.equal(flags.command, 'send');
+    assert.deepEqual(flags.args, ['hi', 'there']);
+
+    const transports = loadConfig(['--relay', '--ws-port', '8080', '--use-relay', '/ip4/10.0.0.1/tcp/4001/p2p/relay', '--use-relay', '/dns4/relay.example/tcp/443/ws'], {});
+    assert.equal(transports.relay, true);
+    assert.equal(transports.wsPort, 8080);
+    assert.equal(transports.useRelay.length, 2);
+
+    assert.throws(() => loadConfig(['--heartbeat', '0'], {}), /--heartbeat has to be a number of at least 1/);
+    assert.throws(() => loadConfig(['--port', 'abc'], {}), /--port has to be a number/);
+    assert.throws(() => loadConfig(['--port', '65536'], {}), /--port has to be a port from 0 to 65535/);
+    assert.throws(() => loadConfig(['--ws-port', '80.5'], {}), /--ws-port has to be a port/);
+    assert.throws(() => loadConfig([], { PEERCHAT_API_PORT: '-1' }), /--api-port has to be a number of at least 0/);
+    fs.writeFileSync(file, JSON.stringify({ connect: '/ip4/127.0.0.1/tcp/4002' }));
+    assert.throws(() => loadConfig(['--config', file], {}), /--connect has to be a list of addresses/);
+    fs.writeFileSync(file, JSON.stringify({ useRelay: [4001] }));
+    assert.throws(() => loadConfig(['--config', file], {}), /--use-relay has to be a list of addresses/);
+    assert.throws(() => loadConfig(['--config', path.join(dir, 'missing.json')], {}), /not found/);
+    assert.throws(() => loadConfig(['--nope'], {}), /Unknown option/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('peerchat.js runs on its own, the way npm links it as a bin', async () => {
+  const { bin } = JSON.parse(fs.readFileSync(path.join(import.meta.dirname, '..', 'package.json'), 'utf8'));
+  assert.equal(path.resolve(import.meta.dirname, '..', bin.peerchat), PEERCHAT);
+  const { code, stdout } = await new Promise(resolve => {
+    execFile(PEERCHAT, ['--help'], { timeout: 30000 }, (err, stdout) => resolve({ code: err ? err.code : 0, stdout }));
+  });
+  assert.equal(code, 0);
+  assert.match(stdout, /^Usage:/);
+});
+
+test('the port, listen addresses and heartbeat are honoured', async () => {
+  const probe = await startClient('Probe');
+  const port = parseInt(probe.getMultiaddrs()[0].split('/')[4]);
+  await stopClients(probe);
+
+  const alice = await startClient('Alice', undefined, { port, listen: ['127.0.0.1'], heartbeatInterval: 200 });
+  const bob = await startClient('Bob');
+  try {
+    assert.deepEqual(alice.getMultiaddrs().map(addr => addr.split('/').slice(0, 5).join('/')), [`/ip4/127.0.0.1/tcp/${port}`]);
+
+    await connectClients(bob, alice);
+    let heard = 0;
+    bob.node.services.pubsub.addEventListener('message', (evt) => evt.detail.topic === PRESENCE_TOPIC && heard++);
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.ok(heard >= 3, `only heard ${heard} heartbeats`);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('peerchat send delivers a message and exits', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const bobDir = bob.testDir;
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    await bob.stop();
+
+    const args = ['send', '--data-dir', bobDir, '--account', 'Bob Test', '--port', '0', '--heartbeat', '1', '--timeout', '15'];
+    const sent = await runPeerchat([...args, '--connect', alice.getMultiaddrs()[0], '--to', 'Alice', 'sent from a script'], { PEERCHAT_PASSWORD: PASSWORD });
+    assert.equal(sent.code, 0, sent.stderr);
+    assert.match(sent.stdout, /Delivered/);
+    assert.equal(alice.getHistory('Bob').messages[0].message, 'sent from a script');
+
+    const noFriend = await runPeerchat([...args, '--to', 'Nobody', 'hello?'], { PEERCHAT_PASSWORD: PASSWORD });
+    assert.equal(noFriend.code, 1);
+    assert.match(noFriend.stderr, /Friend "Nobody" not found/);
+  } finally {
+    await stopClients(alice);
+    fs.rmSync(bobDir, { recursive: true, force: true });
+  }
+});
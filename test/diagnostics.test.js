@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRESENCE_TOPIC } from '../lib/chat-client.js';
+import { startClient, stopClients, connectClients, makeFriends, waitFor } from './helpers.js';
+
+test('/peers shows who each connection is and /ping measures the round trip', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(alice, carol);
+    await makeFriends(alice, bob);
+
+    const peers = alice.getPeers().sort((a, b) => a.displayName.localeCompare(b.displayName));
+    assert.deepEqual(peers.map(peer => [peer.handle, peer.isFriend, peer.transports]), [
+      [bob.getHandle(), true, ['tcp']],
+      [carol.getHandle(), false, ['tcp']]
+    ]);
+
+    const pong = await alice.pingPeer('Bob');
+    assert.equal(pong.success, true);
+    assert.equal(typeof pong.rtt, 'number');
+    assert.match(pong.message, new RegExp(`^Reply from ${bob.getHandle()} in \\d+ms$`));
+    assert.equal((await alice.pingPeer(carol.peerId.slice(0, 20))).success, true);
+    assert.equal((await alice.pingPeer('Dave')).message, '"Dave" not found');
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('/whois shows addresses, connections, mesh membership and last seen', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    bob.announcePresence();
+    await waitFor(() => alice.getAddressBook().length === 1, { message: 'Bob\'s addresses' });
+
+    const online = await waitFor(async () => {
+      const info = await alice.whois('Bob');
+      return info.mesh.includes(PRESENCE_TOPIC) && info;
+    }, { message: 'Bob in the presence mesh' });
+    assert.equal(online.peerId, bob.peerId);
+    assert.equal(online.fullname, bob.profile.fullname);
+    assert.equal(online.online, true);
+    assert.ok(online.multiaddrs.includes(bob.getMultiaddrs()[0]));
+    assert.equal(online.connections[0].transport, 'tcp');
+    assert.ok(online.lastSeen);
+
+    // offline friends are still known, just not connected
+    await bob.stop();
+    await waitFor(() => !alice.onlinePeers.has(bob.peerId), { message: 'Bob to go offline' });
+    const offline = await alice.whois('Bob');
+    assert.equal(offline.online, false);
+    assert.deepEqual(offline.connections, []);
+    assert.equal(offline.lastSeen, alice.getAddressBook()[0].lastSeen);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
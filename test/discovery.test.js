@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, stopClients, waitFor } from './helpers.js';
+
+test('nodes with discovery on find each other over mDNS without /connect', async () => {
+  const alice = await startClient('Alice', undefined, { discovery: true });
+  const bob = await startClient('Bob', undefined, { discovery: true });
+  try {
+    assert.ok(alice.getMultiaddrs().every(addr => !addr.includes('/ip4/0.0.0.0/')));
+
+    await waitFor(() => alice.onlinePeers.has(bob.peerId) && bob.onlinePeers.has(alice.peerId), {
+      timeout: 20000,
+      message: 'mDNS discovery'
+    });
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('discovery is off by default and only listens on localhost', async () => {
+  const alice = await startClient('Alice');
+  try {
+    assert.ok(alice.getMultiaddrs().every(addr => addr.startsWith('/ip4/127.0.0.1/')));
+  } finally {
+    await stopClients(alice);
+  }
+});
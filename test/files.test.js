@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { requestFile } from '../lib/node.js';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitForEvent } from './helpers.js';
+
+// A few chunks worth of random bytes
+function makeFile(client, name, size = 200 * 1024) {
+  const file = path.join(client.testDir, name);
+  fs.writeFileSync(file, crypto.randomBytes(size));
+  return file;
+}
+
+test('sending a file to a friend', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(carol, alice);
+    await makeFriends(alice, bob);
+    const file = makeFile(alice, 'photo.jpg');
+
+    assert.equal((await alice.sendFile(carol.profile.fullname, file)).message, 'You can only send files to friends');
+    assert.equal((await alice.sendFile(bob.profile.fullname, 'no-such-file')).success, false);
+
+    const offered = waitForEvent(bob, 'fileOffer');
+    const { transferId } = await alice.sendFile(bob.profile.fullname, file);
+    const offer = await offered;
+    assert.equal(offer.fileName, 'photo.jpg');
+    assert.equal(offer.size, 200 * 1024);
+    assert.equal(offer.fromName, 'Alice');
+
+    // only the friend it was offered to can download it
+    const refused = await requestFile(carol.node, alice.peerId, { transferId, offset: 0 }, () => {});
+    assert.equal(refused.error, 'Unknown file transfer');
+
+    const progress = [];
+    bob.on('fileProgress', ({ received }) => progress.push(received));
+    const received = waitForEvent(bob, 'fileReceived');
+    const sent = waitForEvent(alice, 'fileSent');
+    assert.equal(bob.acceptFile(transferId.slice(0, 8)).success, true);
+
+    const { savedTo } = await received;
+    assert.equal((await sent).peerName, 'Bob');
+    assert.deepEqual(fs.readFileSync(savedTo), fs.readFileSync(file));
+    assert.deepEqual(progress, [65536, 131072, 196608, 204800]);
+    assert.equal(bob.getTransfers()[0].status, 'done');
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('a cut off download resumes from where it stopped when the sender is back', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    const file = makeFile(alice, 'notes.pdf');
+
+    const offered = waitForEvent(bob, 'fileOffer');
+    const { transferId } = await alice.sendFile(bob.profile.fullname, file);
+    await offered;
+
+    // what's left behind when the connection drops part way through
+    const transfer = bob.transfers.get(transferId);
+    transfer.savedTo = bob.downloadPath(transfer.fileName);
+    transfer.status = 'paused';
+    fs.mkdirSync(bob.downloadDir, { recursive: true });
+    fs.writeFileSync(`${transfer.savedTo}.part`, fs.readFileSync(file).subarray(0, 100000));
+    bob.saveData('transfers', bob.transfers);
+
+    bob = await restartClient(bob);
+    const progress = [];
+    bob.on('fileProgress', ({ received }) => progress.push(received));
+    const received = waitForEvent(bob, 'fileReceived');
+    await connectClients(alice, bob);
+
+    assert.deepEqual(fs.readFileSync((await received).savedTo), fs.readFileSync(file));
+    assert.equal(progress[0], 100000 + 65536);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('a file that changed since it was offered fails the integrity check', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    const file = makeFile(alice, 'report.txt');
+
+    const offered = waitForEvent(bob, 'fileOffer');
+    const { transferId } = await alice.sendFile(bob.profile.fullname, file);
+    await offered;
+    fs.writeFileSync(file, crypto.randomBytes(200 * 1024));
+
+    const failed = waitForEvent(bob, 'fileFailed');
+    bob.acceptFile(transferId);
+    assert.equal((await failed).reason, 'The file doesn\'t match the hash it was offered with');
+    assert.deepEqual(fs.readdirSync(bob.downloadDir), []);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('a download dir that can\'t be written to fails the transfer', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    fs.writeFileSync(bob.downloadDir, 'in the way');
+
+    const offered = waitForEvent(bob, 'fileOffer');
+    const { transferId } = await alice.sendFile(bob.profile.fullname, makeFile(alice, 'notes.txt'));
+    await offered;
+
+    const failed = waitForEvent(bob, 'fileFailed');
+    assert.equal(bob.acceptFile(transferId).success, true);
+    assert.match((await failed).reason, /^Can't save to /);
+    assert.equal(bob.getTransfers()[0].status, 'failed');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('files offered in a group can be downloaded by its participants', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    alice.createGroup('standup');
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+    const joined = waitForEvent(alice, 'groupJoin');
+    bob.acceptGroupInvite('standup');
+    await joined;
+
+    const file = makeFile(alice, 'slides.pptx', 1000);
+    const offered = waitForEvent(bob, 'fileOffer');
+    await alice.sendGroupFile('standup', file);
+    const { transferId, groupName } = await offered;
+    assert.equal(groupName, 'standup');
+
+    const received = waitForEvent(bob, 'fileReceived');
+    bob.acceptFile(transferId);
+    assert.deepEqual(fs.readFileSync((await received).savedTo), fs.readFileSync(file));
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+test('a friend holds messages for someone offline and forwards them when they return', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(carol, bob);
+    await connectClients(alice, carol);
+    await makeFriends(alice, bob);
+    await makeFriends(carol, bob);
+    await makeFriends(alice, carol);
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname) && !carol.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+
+    const { messageId } = alice.sendMessage(bob.profile.fullname, 'left this with carol');
+    await waitFor(() => carol.storedEnvelopes.get(bob.profile.fullname)?.length === 1, { message: 'Carol to store the envelope' });
+
+    // alice isn't around when bob comes back, only carol is
+    await alice.stop();
+    bob = await restartClient(bob);
+    const received = waitForEvent(bob, 'message');
+    const forwarded = waitForEvent(carol, 'forwarded');
+    await connectClients(bob, carol);
+
+    const message = await received;
+    assert.equal(message.message, 'left this with carol');
+    assert.equal(message.messageId, messageId);
+    assert.equal(message.fromFullname, alice.profile.fullname);
+    assert.equal((await forwarded).count, 1);
+    assert.equal(carol.storedEnvelopes.has(bob.profile.fullname), false);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('the same message arriving from the sender and a holder is only shown once', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(carol, bob);
+    await connectClients(alice, carol);
+    await makeFriends(alice, bob);
+    await makeFriends(carol, bob);
+    await makeFriends(alice, carol);
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname) && !carol.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+    alice.sendMessage(bob.profile.fullname, 'only once please');
+    await waitFor(() => carol.storedEnvelopes.has(bob.profile.fullname), { message: 'Carol to store the envelope' });
+
+    bob = await restartClient(bob);
+    let shown = 0;
+    bob.on('message', () => { shown++; });
+    const forwarded = waitForEvent(carol, 'forwarded');
+    await connectClients(bob, carol);
+    await connectClients(bob, alice);
+    await forwarded;
+    await waitFor(() => !alice.offlineMessages.has(bob.profile.fullname), { message: 'Alice to get an ack' });
+
+    assert.equal(shown, 1);
+    assert.equal(bob.getHistory('Alice').messages.length, 1);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('a group message for someone offline is sealed to them and never reaches outsiders', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  const dave = await startClient('Dave');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(carol, bob);
+    await connectClients(alice, carol);
+    await connectClients(dave, alice);
+    await connectClients(dave, carol);
+    await makeFriends(alice, bob);
+    await makeFriends(alice, carol);
+
+    alice.createGroup('launch');
+    for (const member of [bob, carol]) {
+      const invited = waitForEvent(member, 'groupInvite');
+      alice.inviteToGroup('launch', member.profile.displayName);
+      await invited;
+      const joined = waitForEvent(alice, 'groupJoin');
+      member.acceptGroupInvite('launch');
+      await joined;
+    }
+
+    // dave is connected to everyone but isn't in the group or anyone's friend
+    const overheard = [];
+    dave.node.services.pubsub.addEventListener('message', (evt) => overheard.push(new TextDecoder().decode(evt.detail.data)));
+    const handleDirectStream = dave.handleDirectStream.bind(dave);
+    dave.handleDirectStream = (envelope, fromPeerId) => {
+      overheard.push(JSON.stringify(envelope));
+      return handleDirectStream(envelope, fromPeerId);
+    };
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname) && !carol.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+    alice.sendGroupMessage('launch', 'the launch code is 1234');
+    await waitFor(() => carol.storedEnvelopes.get(bob.profile.fullname)?.length === 1, { message: 'Carol to store the envelope' });
+    assert.ok(!JSON.stringify(carol.storedEnvelopes.get(bob.profile.fullname)).includes('1234'));
+
+    await alice.stop();
+    bob = await restartClient(bob);
+    const received = waitForEvent(bob, 'groupMessage');
+    await connectClients(bob, carol);
+    const message = await received;
+    assert.equal(message.message, 'the launch code is 1234');
+    assert.equal(message.fromFullname, alice.profile.fullname);
+
+    assert.equal(dave.storedEnvelopes.size, 0);
+    assert.ok(overheard.every(data => !data.includes('1234') && !data.includes('STORE')));
+  } finally {
+    await stopClients(alice, bob, carol, dave);
+  }
+});
+
+test('envelopes are not stored for strangers or with a bad signature', async () => {
+  const alice = await startClient('Alice');
+  try {
+    alice.handleStore(['Stranger Test'], 'id-1', 'p2p-messages', { body: '{}', peerId: 'x', signingKey: 'x', signature: 'x' });
+    assert.equal(alice.storedEnvelopes.size, 0);
+  } finally {
+    await stopClients(alice);
+  }
+});
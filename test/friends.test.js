@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MESSAGE_TOPIC } from '../lib/chat-client.js';
+import { startClient, stopClients, connectClients, makeFriends, waitForEvent } from './helpers.js';
+
+test('friend request and accept handshake', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+
+    const request = waitForEvent(bob, 'friendRequest');
+    const sent = alice.sendFriendRequest(bob.peerId);
+    assert.equal(sent.success, true);
+    assert.equal(alice.sendFriendRequest(bob.peerId).message, 'Friend request already sent');
+
+    const { fullname } = await request;
+    assert.equal(fullname, alice.profile.fullname);
+    assert.ok(bob.friendRequests.has(alice.profile.fullname));
+
+    const accepted = waitForEvent(alice, 'friendAccept');
+    assert.equal(bob.acceptFriendRequest(alice.profile.fullname).success, true);
+    await accepted;
+
+    // both sides end up with each other's keys
+    assert.equal(alice.friends.get(bob.profile.fullname).publicKey, bob.keys.publicKey);
+    assert.equal(bob.friends.get(alice.profile.fullname).publicKey, alice.keys.publicKey);
+    assert.equal(alice.sentRequests.size, 0);
+    assert.equal(bob.friendRequests.size, 0);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('live direct messages are end-to-end encrypted', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(carol, alice);
+    await makeFriends(alice, bob);
+
+    // carol is on the topic too, she should only ever see ciphertext
+    const overheard = [];
+    carol.node.services.pubsub.addEventListener('message', (evt) => {
+      if (evt.detail.topic === MESSAGE_TOPIC) overheard.push(new TextDecoder().decode(evt.detail.data));
+    });
+    let carolReadIt = false;
+    carol.on('message', () => { carolReadIt = true; });
+
+    const received = waitForEvent(bob, 'message');
+    const result = alice.sendMessage(bob.profile.fullname, 'meet at noon');
+    assert.equal(result.message, 'Message sent to Bob');
+
+    const { message, fromFullname } = await received;
+    assert.equal(message, 'meet at noon');
+    assert.equal(fromFullname, alice.profile.fullname);
+
+    const reply = waitForEvent(alice, 'message');
+    bob.sendMessage(alice.profile.fullname, 'see you there');
+    assert.equal((await reply).message, 'see you there');
+
+    assert.equal(carolReadIt, false);
+    assert.ok(overheard.every(data => !data.includes('meet at noon')));
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('direct messages and their receipts go over a stream, not pubsub', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    const published = [];
+    const record = (evt) => published.push(JSON.parse(JSON.parse(new TextDecoder().decode(evt.detail.data)).body).type);
+    alice.node.services.pubsub.addEventListener('message', record);
+    bob.node.services.pubsub.addEventListener('message', record);
+
+    const delivered = waitForEvent(alice, 'receipt');
+    alice.sendMessage(bob.profile.fullname, 'just between us');
+    assert.equal((await delivered).status, 'delivered');
+    assert.ok(!published.some(type => ['DIRECT_MESSAGE', 'DELIVERED'].includes(type)));
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('only friends can be messaged', async () => {
+  const alice = await startClient('Alice');
+  try {
+    assert.equal(alice.sendMessage('Nobody Test', 'hello').message, 'You can only message friends');
+  } finally {
+    await stopClients(alice);
+  }
+});
@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+async function startGroup() {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  await connectClients(alice, bob);
+  await makeFriends(alice, bob);
+  alice.createGroup('standup');
+  return { alice, bob };
+}
+
+test('group invite, join, message and leave', async () => {
+  const { alice, bob } = await startGroup();
+  try {
+    assert.equal(alice.inviteToGroup('standup', 'Nobody').success, false);
+
+    const invited = waitForEvent(bob, 'groupInvite');
+    assert.equal(alice.inviteToGroup('standup', 'Bob').success, true);
+    assert.equal(alice.inviteToGroup('standup', 'Bob').message, 'User already has a pending invitation');
+    assert.equal((await invited).groupName, 'standup');
+    assert.equal(bob.getGroups({ invited: true }).length, 1);
+
+    const joined = waitForEvent(alice, 'groupJoin');
+    assert.equal(bob.acceptGroupInvite('standup').success, true);
+    assert.equal((await joined).peerFullname, bob.profile.fullname);
+
+    const aliceGroup = alice.findGroupByName('standup').group;
+    assert.deepEqual(aliceGroup.participants.map(p => p.name).sort(), ['Alice', 'Bob']);
+
+    const received = waitForEvent(bob, 'groupMessage');
+    alice.sendGroupMessage('standup', 'hello team');
+    assert.equal((await received).message, 'hello team');
+
+    const left = waitForEvent(alice, 'groupLeave');
+    assert.equal(bob.leaveGroup('standup').success, true);
+    await left;
+    assert.deepEqual(aliceGroup.participants.map(p => p.name), ['Alice']);
+    assert.equal(bob.getGroups().length, 0);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('each group has its own topic that only participants subscribe to', async () => {
+  const { alice, bob } = await startGroup();
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(carol, alice);
+    const { groupId } = alice.findGroupByName('standup');
+    const topic = alice.groupTopic(groupId);
+    assert.ok(alice.node.services.pubsub.getTopics().includes(topic));
+
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+    assert.ok(!bob.node.services.pubsub.getTopics().includes(topic));
+
+    const joined = waitForEvent(alice, 'groupJoin');
+    bob.acceptGroupInvite('standup');
+    await joined;
+    assert.ok(bob.node.services.pubsub.getTopics().includes(topic));
+
+    // carol isn't in the group so the message never reaches her node
+    const overheard = [];
+    carol.node.services.pubsub.addEventListener('message', (evt) => overheard.push(evt.detail.topic));
+    const received = waitForEvent(bob, 'groupMessage');
+    alice.sendGroupMessage('standup', 'just us');
+    await received;
+    assert.ok(!overheard.includes(topic));
+
+    const left = waitForEvent(alice, 'groupLeave');
+    bob.leaveGroup('standup');
+    await left;
+    assert.ok(!bob.node.services.pubsub.getTopics().includes(topic));
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('groups get random IDs and clashing names are picked by ID prefix', async () => {
+  const { alice, bob } = await startGroup();
+  try {
+    const { groupId } = alice.findGroupByName('standup');
+    assert.match(groupId, /^[0-9a-f]{8}-[0-9a-f]{4}-/);
+
+    bob.createGroup('standup');
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+
+    assert.match(bob.acceptGroupInvite('standup').message, /^More than one group matches "standup"/);
+    assert.equal(bob.acceptGroupInvite(alice.shortGroupId(groupId)).success, true);
+    assert.equal(bob.findGroup(groupId.slice(0, 4)).groupId, groupId);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('renaming a group', async () => {
+  const { alice, bob } = await startGroup();
+  try {
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+    const joined = waitForEvent(alice, 'groupJoin');
+    bob.acceptGroupInvite('standup');
+    await joined;
+
+    const received = waitForEvent(bob, 'groupMessage');
+    alice.sendGroupMessage('standup', 'before the rename');
+    await received;
+
+    assert.equal(bob.renameGroup('standup', 'retro').message, 'Only admins can rename a group');
+    const renamed = waitForEvent(bob, 'groupRename');
+    assert.equal(alice.renameGroup('standup', 'retro').message, 'Renamed "standup" to "retro"');
+    const { oldName, groupName } = await renamed;
+    assert.equal(oldName, 'standup');
+    assert.equal(groupName, 'retro');
+
+    assert.equal(bob.findGroup('standup').success, false);
+    assert.equal(bob.findGroup('retro').success, true);
+    assert.equal(bob.getHistory('retro').messages[0].message, 'before the rename');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('rejecting a group invite', async () => {
+  const { alice, bob } = await startGroup();
+  try {
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+
+    assert.equal(bob.rejectGroupInvite('standup').success, true);
+    assert.equal(bob.getGroups({ invited: true }).length, 0);
+    assert.equal(bob.acceptGroupInvite('standup').success, false);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('group leave is replayed to a participant who was offline', async () => {
+  let { alice, bob } = await startGroup();
+  try {
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+    const joined = waitForEvent(alice, 'groupJoin');
+    bob.acceptGroupInvite('standup');
+    await joined;
+
+    await alice.stop();
+    await waitFor(() => !bob.isFriendOnline(alice.profile.fullname), { message: 'Alice to go offline' });
+    bob.leaveGroup('standup');
+    assert.equal(bob.offlineGroupLeaves.get(alice.profile.fullname).length, 1);
+
+    alice = await restartClient(alice);
+    assert.equal(alice.findGroupByName('standup').group.participants.length, 2);
+
+    const left = waitForEvent(alice, 'groupLeave');
+    await connectClients(bob, alice);
+    assert.equal((await left).peerFullname, bob.profile.fullname);
+    assert.deepEqual(alice.findGroupByName('standup').group.participants.map(p => p.name), ['Alice']);
+    assert.equal(bob.offlineGroupLeaves.has(alice.profile.fullname), false);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('deliverOfflineGroupLeaves applies stored leave events', async () => {
+  const { alice, bob } = await startGroup();
+  try {
+    const { groupId, group } = alice.findGroupByName('standup');
+    group.participants.push({ name: 'Bob', fullname: bob.profile.fullname });
+
+    alice.offlineGroupLeaves.set(alice.profile.fullname, [{
+      groupId,
+      groupName: 'standup',
+      peerId: bob.peerId,
+      peerName: 'Bob',
+      peerFullname: bob.profile.fullname
+    }]);
+
+    const processed = waitForEvent(alice, 'offlineGroupLeaves');
+    alice.deliverOfflineGroupLeaves();
+    const { count, events } = await processed;
+
+    assert.equal(count, 1);
+    assert.equal(events[0].peerName, 'Bob');
+    assert.deepEqual(group.participants.map(p => p.name), ['Alice']);
+    assert.equal(alice.offlineGroupLeaves.has(alice.profile.fullname), false);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function invite(admin, member, groupName) {
+  const invited = waitForEvent(member, 'groupInvite');
+  admin.inviteToGroup(groupName, member.profile.displayName);
+  await invited;
+  const joined = waitForEvent(admin, 'groupJoin');
+  member.acceptGroupInvite(groupName);
+  await joined;
+}
+
+test('a member who was offline catches up on joins through digests', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(alice, carol);
+    await makeFriends(alice, bob);
+    await makeFriends(alice, carol);
+    alice.createGroup('standup');
+    await invite(alice, bob, 'standup');
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+    await invite(alice, carol, 'standup');
+
+    bob = await restartClient(bob);
+    const caughtUp = waitForEvent(bob, 'groupJoin', ({ peerName }) => peerName === 'Carol');
+    await connectClients(bob, alice);
+    await caughtUp;
+
+    const aliceGroup = alice.findGroupByName('standup').group;
+    const bobGroup = bob.findGroupByName('standup').group;
+    assert.deepEqual(bobGroup.participants.map(p => p.name), ['Alice', 'Bob', 'Carol']);
+    assert.deepEqual(bobGroup.invitations, aliceGroup.invitations);
+    assert.equal(bob.groupDigest(bobGroup).hash, alice.groupDigest(aliceGroup).hash);
+    assert.equal(bob.groupDigest(bobGroup).version, 4);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('someone kicked while offline finds out when they come back', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    alice.createGroup('standup');
+    await invite(alice, bob, 'standup');
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+    assert.equal(alice.kickFromGroup('standup', 'Bob').success, true);
+
+    bob = await restartClient(bob);
+    assert.equal(bob.getGroups().length, 1);
+    const kicked = waitForEvent(bob, 'groupKick');
+    await connectClients(bob, alice);
+
+    assert.equal((await kicked).wasMe, true);
+    assert.equal(bob.getGroups().length, 0);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('the same ops in any order give the same group', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(alice, carol);
+    await makeFriends(alice, bob);
+    await makeFriends(alice, carol);
+    alice.createGroup('standup');
+    await invite(alice, bob, 'standup');
+    await invite(alice, carol, 'standup');
+    alice.setGroupRole('standup', 'Bob', 'admin');
+    alice.setInvitePolicy('standup', 'admins');
+    alice.kickFromGroup('standup', 'Carol');
+
+    const group = alice.findGroupByName('standup').group;
+    const shuffled = { ...structuredClone(group), log: [...group.log].reverse() };
+    alice.rebuildGroup(shuffled);
+
+    for (const field of ['participants', 'invitations', 'admins', 'invitePolicy']) {
+      assert.deepEqual(shuffled[field], group[field]);
+    }
+    assert.deepEqual(group.participants.map(p => p.name), ['Alice', 'Bob']);
+    assert.deepEqual(group.admins, [alice.profile.fullname, bob.profile.fullname]);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('a starting state from someone other than the creator is ignored', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const dave = await startClient('Dave');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(bob, dave);
+    await makeFriends(alice, bob);
+    await makeFriends(bob, dave);
+    alice.createGroup('standup');
+    await invite(alice, bob, 'standup');
+    const invited = waitForEvent(dave, 'groupInvite');
+    bob.inviteToGroup('standup', 'Dave');
+    await invited;
+
+    // Bob sends Dave the log again, this time starting from a group where he's the only admin
+    const { groupId, group } = bob.findGroupByName('standup');
+    dave.groups.delete(groupId);
+    const base = {
+      name: 'standup',
+      participants: [{ name: 'Bob', fullname: bob.profile.fullname, signingKey: bob.keys.signingPublicKey }],
+      invitations: [],
+      admins: [bob.profile.fullname],
+      invitePolicy: 'admins'
+    };
+    bob.sendGroupLog(dave.peerId, dave.profile.fullname, groupId, { ...group, base }, group.log);
+    await waitFor(() => dave.groups.has(groupId), { message: 'Dave to take the log' });
+
+    const davesGroup = dave.groups.get(groupId);
+    assert.equal(davesGroup.base, undefined);
+    assert.deepEqual(dave.getAdmins(davesGroup), [alice.profile.fullname]);
+    assert.deepEqual(davesGroup.participants.map(p => p.name), ['Alice', 'Bob']);
+  } finally {
+    await stopClients(alice, bob, dave);
+  }
+});
+
+test('only members get the log when they send a digest', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const mallory = await startClient('Mallory');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(alice, mallory);
+    await makeFriends(alice, bob);
+    alice.createGroup('standup');
+    await invite(alice, bob, 'standup');
+
+    const { groupId } = alice.findGroupByName('standup');
+    const sent = [];
+    const sendGroupLog = alice.sendGroupLog.bind(alice);
+    alice.sendGroupLog = (toPeerId, ...rest) => {
+      sent.push(toPeerId);
+      return sendGroupLog(toPeerId, ...rest);
+    };
+
+    mallory.node.services.pubsub.subscribe(mallory.groupTopic(groupId));
+    await waitFor(() => alice.node.services.pubsub.getSubscribers(alice.groupTopic(groupId)).some(peer => peer.toString() === mallory.peerId), { message: 'Mallory to subscribe' });
+    mallory.publishMessage(mallory.groupTopic(groupId), {
+      type: 'GROUP_DIGEST',
+      groupId,
+      from: mallory.peerId,
+      fromName: 'Mallory',
+      fromFullname: mallory.profile.fullname,
+      version: 0,
+      hash: 'nothing',
+      opIds: []
+    });
+    await pause(1000);
+    assert.deepEqual(sent, []);
+    assert.equal(mallory.groups.has(groupId), false);
+  } finally {
+    await stopClients(alice, bob, mallory);
+  }
+});
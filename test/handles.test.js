@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitArgs, unquote } from '../lib/command-args.js';
+import { deriveHandle } from '../lib/crypto.js';
+import { startClient, stopClients, connectClients, makeFriends, waitForEvent } from './helpers.js';
+
+test('handles come from the signing key and look the same to everyone', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    assert.match(alice.getHandle(), /^Alice#[a-z2-7]{12}$/);
+    assert.equal(alice.getHandle(), deriveHandle('Alice', alice.keys.signingPublicKey));
+    assert.notEqual(deriveHandle('Alice', bob.keys.signingPublicKey), alice.getHandle());
+
+    await connectClients(alice, bob);
+    const request = waitForEvent(bob, 'friendRequest');
+    alice.sendFriendRequest(bob.peerId);
+    assert.equal((await request).handle, alice.getHandle());
+    assert.equal(bob.handleOf(bob.onlinePeers.get(alice.peerId)), alice.getHandle());
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('people sharing a display name are told apart by handle or alias', async () => {
+  const alice = await startClient('Alice');
+  const sam = await startClient('Sam', undefined, { fullname: 'Sam Smith' });
+  const otherSam = await startClient('Sam', undefined, { fullname: 'Sam Jones' });
+  try {
+    await connectClients(sam, alice);
+    await connectClients(otherSam, alice);
+    await makeFriends(sam, alice);
+    await makeFriends(otherSam, alice);
+
+    const ambiguous = alice.findPerson('Sam', alice.friends);
+    assert.equal(ambiguous.success, false);
+    assert.match(ambiguous.message, /^More than one person is called "Sam", use their handle/);
+    assert.ok(ambiguous.message.includes(sam.getHandle()));
+
+    assert.equal(alice.findPerson(otherSam.getHandle(), alice.friends).key, 'Sam Jones');
+    assert.equal(alice.findPerson(sam.getHandle(), alice.onlinePeers).key, sam.peerId);
+
+    assert.equal(alice.setAlias(sam.getHandle(), 'Sammy').success, true);
+    assert.equal(alice.setAlias(otherSam.getHandle(), 'sammy').message, 'Another friend already goes by "sammy"');
+    assert.equal(alice.findPerson('sammy', alice.friends).key, 'Sam Smith');
+
+    alice.createGroup('book club');
+    const invited = waitForEvent(sam, 'groupInvite');
+    assert.equal(alice.inviteToGroup('book club', 'Sam').success, false);
+    assert.equal(alice.inviteToGroup('book club', 'Sammy').success, true);
+    assert.equal((await invited).groupName, 'book club');
+
+    assert.equal(alice.setAlias('Sammy').success, true);
+    assert.equal(alice.findPerson('Sammy', alice.friends).success, false);
+  } finally {
+    await stopClients(alice, sam, otherSam);
+  }
+});
+
+test('display names can have spaces', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob Stone');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    alice.createGroup('standup');
+    const invited = waitForEvent(bob, 'groupInvite');
+    assert.equal(alice.inviteToGroup('standup', 'bob stone').success, true);
+    await invited;
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('command arguments can be quoted', () => {
+  assert.deepEqual(splitArgs('"Bob Stone" see you at noon', 2), ['Bob Stone', 'see you at noon']);
+  assert.deepEqual(splitArgs('Bob   hi there ', 2), ['Bob', 'hi there']);
+  assert.deepEqual(splitArgs('"book club" "Bob Stone"', 2), ['book club', '"Bob Stone"']);
+  assert.deepEqual(splitArgs('Bob', 2), ['Bob', '']);
+  assert.deepEqual(splitArgs('', 3), ['', '', '']);
+  assert.equal(unquote(' "Bob Stone" '), 'Bob Stone');
+  assert.equal(unquote('Bob Stone'), 'Bob Stone');
+});
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ChatClient } from '../lib/chat-client.js';
+import { loadAccounts } from '../lib/accounts.js';
+
+export const PASSWORD = 'test-password';
+
+// Polls until check() returns something truthy
+export async function waitFor(check, { timeout = 10000, interval = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+export function waitForEvent(client, eventName, filter = () => true, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(eventName, listener);
+      reject(new Error(`Timed out waiting for ${eventName} on ${client.profile.displayName}`));
+    }, timeout);
+    const listener = (data) => {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      client.off(eventName, listener);
+      resolve(data);
+    };
+    client.on(eventName, listener);
+  });
+}
+
+// Registers an account in its own temp dir and starts a node for it on 127.0.0.1
+// Pass options.fullname to give two clients the same display name
+export async function startClient(displayName, dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerchat-')), options = {}) {
+  const { fullname = `${displayName} Test`, ...clientOptions } = options;
+  const client = new ChatClient({
+    dataDir: path.join(dir, 'account_data'),
+    accountsFile: path.join(dir, 'accounts.json'),
+    downloadDir: path.join(dir, 'downloads'),
+    ...clientOptions
+  });
+  const result = loadAccounts(path.join(dir, 'accounts.json')).some(acc => acc.fullname === fullname)
+    ? await client.login(fullname, PASSWORD)
+    : await client.register({ fullname, password: PASSWORD, displayName });
+  if (!result.success) throw new Error(result.message);
+
+  await client.createNode();
+  client.testDir = dir;
+  return client;
+}
+
+// Stops the node and logs back into the same account from disk
+export async function restartClient(client) {
+  await client.stop();
+  return startClient(client.profile.displayName, client.testDir, { fullname: client.profile.fullname });
+}
+
+export async function stopClients(...clients) {
+  await Promise.all(clients.map(client => client.stop()));
+  clients.forEach(client => fs.rmSync(client.testDir, { recursive: true, force: true }));
+}
+
+// Dials a -> b and waits until both have seen each other's presence
+export async function connectClients(a, b) {
+  await a.connect(b.getMultiaddrs()[0]);
+
+  // the first announce can go out before the subscriptions are exchanged, so keep announcing
+  await waitFor(() => {
+    a.announcePresence();
+    b.announcePresence();
+    return a.onlinePeers.has(b.peerId) && b.onlinePeers.has(a.peerId);
+  }, { interval: 300, message: `${a.profile.displayName} and ${b.profile.displayName} to see each other` });
+}
+
+export async function makeFriends(a, b) {
+  const request = waitForEvent(b, 'friendRequest');
+  a.sendFriendRequest(b.peerId);
+  await request;
+
+  const accepted = waitForEvent(a, 'friendAccept');
+  b.acceptFriendRequest(a.profile.fullname);
+  await accepted;
+}
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitForEvent } from './helpers.js';
+
+test('sent and received messages are kept in history and survive a restart', async () => {
+  let alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    const received = waitForEvent(bob, 'message');
+    alice.sendMessage(bob.profile.fullname, 'first message');
+    await received;
+    const reply = waitForEvent(alice, 'message');
+    bob.sendMessage(alice.profile.fullname, 'second message');
+    await reply;
+
+    alice.createGroup('standup');
+    alice.sendGroupMessage('standup', 'group notes');
+
+    alice = await restartClient(alice);
+    const dm = alice.getHistory('Bob');
+    assert.equal(dm.success, true);
+    assert.deepEqual(dm.messages.map(entry => `${entry.fromName}: ${entry.message}`), ['Alice: first message', 'Bob: second message']);
+    assert.deepEqual(bob.getHistory('alice').messages.map(entry => entry.message), ['first message', 'second message']);
+
+    assert.deepEqual(alice.getHistory('standup').messages.map(entry => entry.message), ['group notes']);
+    assert.equal(alice.getHistory('nobody').success, false);
+
+    const results = alice.searchHistory('MESSAGE');
+    assert.equal(results.length, 2);
+    assert.ok(results.every(entry => entry.type === 'dm' && entry.name === 'Bob'));
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('history pages from newest to oldest', async () => {
+  const alice = await startClient('Alice');
+  try {
+    alice.createGroup('standup');
+    for (let i = 1; i <= 25; i++) alice.sendGroupMessage('standup', `note ${i}`);
+
+    const newest = alice.getHistory('standup');
+    assert.equal(newest.pages, 2);
+    assert.equal(newest.messages.length, 20);
+    assert.equal(newest.messages[0].message, 'note 6');
+    assert.equal(newest.messages[19].message, 'note 25');
+
+    const oldest = alice.getHistory('standup', 2);
+    assert.deepEqual(oldest.messages.map(entry => entry.message), ['note 1', 'note 2', 'note 3', 'note 4', 'note 5']);
+    assert.equal(alice.getHistory('standup', 3).success, false);
+  } finally {
+    await stopClients(alice);
+  }
+});
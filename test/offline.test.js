@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+test('queued direct messages are delivered when the friend comes back online', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+
+    const result = alice.sendMessage(bob.profile.fullname, 'you missed this');
+    assert.equal(result.message, 'Message queued for Bob (offline)');
+    assert.equal(alice.offlineMessages.get(bob.profile.fullname).length, 1);
+
+    bob = await restartClient(bob);
+    const received = waitForEvent(bob, 'message');
+    const delivered = waitForEvent(alice, 'queueDelivered', ({ kind }) => kind === 'messages');
+    await connectClients(alice, bob);
+
+    assert.equal((await received).message, 'you missed this');
+    assert.equal((await delivered).count, 1);
+
+    // it only leaves the queue once bob acks it
+    await waitFor(() => !alice.offlineMessages.has(bob.profile.fullname), { message: 'the queue to clear' });
+    assert.equal(alice.getHistory('Bob').messages[0].status, 'delivered');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('queued group messages are delivered when a participant comes back online', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    alice.createGroup('standup');
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+    const joined = waitForEvent(alice, 'groupJoin');
+    bob.acceptGroupInvite('standup');
+    await joined;
+
+    await bob.stop();
+    await waitFor(() => !alice.isFriendOnline(bob.profile.fullname), { message: 'Bob to go offline' });
+    alice.sendGroupMessage('standup', 'notes are up');
+    assert.equal(alice.offlineGroupMessages.get(bob.profile.fullname).length, 1);
+
+    bob = await restartClient(bob);
+    const received = waitForEvent(bob, 'groupMessage');
+    await connectClients(alice, bob);
+
+    const { groupName, message } = await received;
+    assert.equal(groupName, 'standup');
+    assert.equal(message, 'notes are up');
+    await waitFor(() => !alice.offlineGroupMessages.has(bob.profile.fullname), { message: 'the queue to clear' });
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, restartClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+// Alice and Bob only hear each other through Carol's gossip, they never connect directly
+async function gossipOnly(options = {}) {
+  const alice = await startClient('Alice', undefined, options);
+  const bob = await startClient('Bob', undefined, options);
+  const carol = await startClient('Carol');
+  await connectClients(alice, carol);
+  await connectClients(bob, carol);
+  await waitFor(() => {
+    alice.announcePresence();
+    bob.announcePresence();
+    return alice.onlinePeers.has(bob.peerId) && bob.onlinePeers.has(alice.peerId);
+  }, { interval: 300, message: 'Alice and Bob to see each other through Carol' });
+  assert.equal(alice.node.getConnections().some(conn => conn.remotePeer.toString() === bob.peerId), false);
+  await makeFriends(alice, bob);
+  return { alice, bob, carol };
+}
+
+test('statuses reach friends and stick around after a restart', async () => {
+  const alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    assert.equal(bob.setStatus('sleeping').message, 'Status has to be one of online, away, busy');
+    assert.equal(bob.setStatus('away', 'x'.repeat(101)).success, false);
+
+    const changed = waitForEvent(alice, 'status');
+    assert.equal(bob.setStatus('away', 'lunch').message, 'Status set to away "lunch"');
+    assert.deepEqual(await changed.then(({ status, statusText }) => [status, statusText]), ['away', 'lunch']);
+    const [friend] = alice.getFriends();
+    assert.equal(friend.status, 'away');
+    assert.equal(friend.statusText, 'lunch');
+
+    bob = await restartClient(bob);
+    const back = waitForEvent(alice, 'presence', ({ online }) => online);
+    await connectClients(alice, bob);
+    assert.equal((await back).status, 'away');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('quitting tells peers that only hear us through gossip', async () => {
+  const { alice, bob, carol } = await gossipOnly();
+  try {
+    let goodbyes = 0;
+    alice.node.services.pubsub.addEventListener('message', (evt) => {
+      if (new TextDecoder().decode(evt.detail.data).includes('OFFLINE')) goodbyes++;
+    });
+    const offline = waitForEvent(alice, 'presence', ({ online }) => !online);
+    // /quit closes the prompt, which stops the client as well
+    const stops = [bob.stop(), bob.stop()];
+    assert.equal(stops[0], stops[1]);
+    await Promise.all(stops);
+    assert.equal((await offline).fullname, bob.profile.fullname);
+
+    const [friend] = alice.getFriends();
+    assert.equal(friend.status, 'offline');
+    assert.ok(friend.lastSeen);
+    await bob.stop();
+    assert.equal(goodbyes, 1);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('peers that stop announcing go offline after missing a few heartbeats', async () => {
+  const { alice, bob, carol } = await gossipOnly({ heartbeatInterval: 200 });
+  try {
+    // gone without a goodbye, like a crash or a dropped network
+    clearInterval(bob.heartbeat);
+    const offline = waitForEvent(alice, 'presence', ({ online }) => !online);
+    const lastHeard = Date.parse(alice.onlinePeers.get(bob.peerId).lastSeen);
+    await offline;
+    assert.ok(Date.now() - lastHeard >= 600);
+    assert.equal(alice.getFriends()[0].status, 'offline');
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('an announced heartbeat is capped', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    alice.handlePresence(bob.peerId, 'Bob', bob.profile.fullname, bob.keys.signingPublicKey, [], { heartbeat: 365 * 24 * 60 * 60 * 1000 });
+    assert.equal(alice.onlinePeers.get(bob.peerId).heartbeat, 10 * 60 * 1000);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sealMessage } from '../lib/crypto.js';
+import { startClient, stopClients, connectClients, makeFriends, waitFor, waitForEvent } from './helpers.js';
+
+test('direct messages go from sent to delivered to read', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    const delivered = waitForEvent(alice, 'receipt', ({ status }) => status === 'delivered');
+    const { messageId } = alice.sendMessage(bob.profile.fullname, 'did you get this?');
+    assert.equal(alice.findHistoryEntry(`dm:${bob.profile.fullname}`, messageId).status, 'sent');
+    assert.equal(alice.offlineMessages.get(bob.profile.fullname).length, 1);
+
+    assert.deepEqual((await delivered).messageIds, [messageId]);
+    assert.equal(alice.findHistoryEntry(`dm:${bob.profile.fullname}`, messageId).status, 'delivered');
+    assert.equal(alice.offlineMessages.has(bob.profile.fullname), false);
+
+    const read = waitForEvent(alice, 'receipt', ({ status }) => status === 'read');
+    assert.equal(bob.markRead('Alice').message, 'Marked 1 message(s) as read');
+    await read;
+    assert.equal(alice.findHistoryEntry(`dm:${bob.profile.fullname}`, messageId).status, 'read');
+    assert.equal(bob.markRead('Alice').message, 'Nothing new to mark as read');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('a resent message is acked again but only shown once', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+
+    let shown = 0;
+    bob.on('message', () => { shown++; });
+    const delivered = waitForEvent(alice, 'receipt');
+    alice.sendMessage(bob.profile.fullname, 'once');
+    await delivered;
+
+    // pretend the ack was lost, alice resends when she next sees bob's presence
+    const entry = alice.getHistory('Bob').messages[0];
+    alice.offlineMessages.set(bob.profile.fullname, [{ messageId: entry.messageId, sealed: sealMessage('once', bob.keys.publicKey), timestamp: entry.timestamp }]);
+    alice.onlinePeers.delete(bob.peerId);
+    bob.announcePresence();
+
+    await waitFor(() => !alice.offlineMessages.has(bob.profile.fullname), { message: 'the resend to be acked' });
+    assert.equal(shown, 1);
+    assert.equal(bob.getHistory('Alice').messages.length, 1);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('group messages track delivery and reads per participant', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    await makeFriends(alice, bob);
+    alice.createGroup('standup');
+    const invited = waitForEvent(bob, 'groupInvite');
+    alice.inviteToGroup('standup', 'Bob');
+    await invited;
+    const joined = waitForEvent(alice, 'groupJoin');
+    bob.acceptGroupInvite('standup');
+    await joined;
+
+    const delivered = waitForEvent(alice, 'receipt', ({ status }) => status === 'delivered');
+    const { messageId } = alice.sendGroupMessage('standup', 'agenda?');
+    const { groupId } = alice.findGroupByName('standup');
+    await delivered;
+
+    const entry = alice.findHistoryEntry(`group:${groupId}`, messageId);
+    assert.equal(entry.recipients, 1);
+    assert.deepEqual(entry.deliveredTo, [bob.profile.fullname]);
+    assert.deepEqual(entry.readBy, []);
+    assert.equal(alice.offlineGroupMessages.has(bob.profile.fullname), false);
+
+    const read = waitForEvent(alice, 'receipt', ({ status }) => status === 'read');
+    bob.markRead('standup');
+    await read;
+    assert.deepEqual(entry.readBy, [bob.profile.fullname]);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
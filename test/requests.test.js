@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FRIEND_TOPIC } from '../lib/chat-client.js';
+import { startClient, restartClient, stopClients, connectClients, waitFor, waitForEvent } from './helpers.js';
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const longAgo = () => new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+
+test('friend requests survive a restart on both sides and can be cancelled', async () => {
+  let alice = await startClient('Alice');
+  let bob = await startClient('Bob');
+  try {
+    await connectClients(alice, bob);
+    const request = waitForEvent(bob, 'friendRequest');
+    assert.equal(alice.sendFriendRequest(bob.peerId).success, true);
+    await request;
+
+    alice = await restartClient(alice);
+    bob = await restartClient(bob);
+    assert.equal(alice.sendFriendRequest(bob.peerId).message, 'Friend request already sent');
+    const [sent] = alice.getSentRequests();
+    assert.equal(sent.handle, bob.getHandle());
+    assert.equal(sent.delivered, true);
+    assert.ok(bob.friendRequests.has(alice.profile.fullname));
+
+    // they already have it, so they're told to drop it
+    await connectClients(alice, bob);
+    assert.equal(alice.cancelFriendRequest('Bob').message, `Cancelled the friend request to ${bob.getHandle()}`);
+    await waitFor(() => bob.friendRequests.size === 0, { message: 'Bob to drop the request' });
+    assert.deepEqual(alice.getSentRequests(), []);
+    assert.equal(alice.cancelFriendRequest('Bob').message, 'No friend request sent to "Bob"');
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('a request to someone offline goes out when they announce themselves', async () => {
+  let alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    assert.equal(alice.sendFriendRequest('not-a-peer-id').message, 'Peer not found or offline');
+    const queued = alice.sendFriendRequest(bob.peerId);
+    assert.equal(queued.queued, true);
+    assert.equal(alice.getSentRequests()[0].delivered, false);
+
+    // still waiting after a restart
+    alice = await restartClient(alice);
+    const request = waitForEvent(bob, 'friendRequest');
+    const delivered = waitForEvent(alice, 'queueDelivered', ({ kind }) => kind === 'friendRequest');
+    await connectClients(alice, bob);
+    assert.equal((await request).fullname, alice.profile.fullname);
+    await delivered;
+    assert.equal(alice.getSentRequests()[0].handle, bob.getHandle());
+
+    const accepted = waitForEvent(alice, 'friendAccept');
+    bob.acceptFriendRequest(alice.profile.fullname);
+    await accepted;
+    assert.equal(alice.sentRequests.size, 0);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('unanswered requests expire', async () => {
+  let alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  try {
+    alice.sendFriendRequest(bob.peerId);
+    alice.sentRequests.get(bob.peerId).sentAt = longAgo();
+    alice.saveData('sentrequests', alice.sentRequests);
+    alice = await restartClient(alice);
+    assert.deepEqual(alice.getSentRequests(), []);
+
+    bob.handleFriendRequest('Alice', alice.profile.fullname, alice.keys.publicKey, alice.keys.signingPublicKey);
+    bob.friendRequests.get(alice.profile.fullname).timestamp = longAgo();
+    bob.pruneFriendRequests();
+    assert.equal(bob.friendRequests.size, 0);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('an accept nobody asked for doesn\'t make a friend', async () => {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const mallory = await startClient('Mallory');
+  try {
+    await connectClients(alice, bob);
+    await connectClients(alice, mallory);
+    alice.sendFriendRequest(bob.peerId);
+
+    let accepted = false;
+    alice.on('friendAccept', () => { accepted = true; });
+    mallory.publishMessage(FRIEND_TOPIC, {
+      type: 'FRIEND_ACCEPT',
+      from: mallory.peerId,
+      fromName: 'Mallory',
+      fromFullname: mallory.profile.fullname,
+      publicKey: mallory.keys.publicKey,
+      to: alice.peerId
+    });
+    await pause(1000);
+    assert.equal(accepted, false);
+    assert.equal(alice.friends.size, 0);
+    assert.equal(alice.sentRequests.size, 1);
+  } finally {
+    await stopClients(alice, bob, mallory);
+  }
+});
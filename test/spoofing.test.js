@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { PRESENCE_TOPIC } from '../lib/chat-client.js';
+import { signEnvelope } from '../lib/crypto.js';
+import { startClient, stopClients, connectClients, makeFriends, waitForEvent } from './helpers.js';
+
+// Carol is connected to Bob but isn't his friend, Alice is
+async function startThree() {
+  const alice = await startClient('Alice');
+  const bob = await startClient('Bob');
+  const carol = await startClient('Carol');
+  await connectClients(alice, bob);
+  await connectClients(carol, bob);
+  await makeFriends(alice, bob);
+  return { alice, bob, carol };
+}
+
+function presence(client, changes = {}) {
+  return {
+    type: 'PRESENCE',
+    peerId: client.peerId,
+    displayName: client.profile.displayName,
+    fullname: client.profile.fullname,
+    addrs: client.getMultiaddrs(),
+    ...changes
+  };
+}
+
+test('a tampered body or someone else\'s peer ID is dropped as a spoof', async () => {
+  const { alice, bob, carol } = await startThree();
+  try {
+    // signed as Carol, then edited after the fact
+    const tampered = signEnvelope(PRESENCE_TOPIC, presence(carol), carol.peerId, carol.keys);
+    tampered.body = tampered.body.replace('"Carol"', '"Mallory"');
+    let spoofed = waitForEvent(bob, 'spoof');
+    carol.publishEnvelope(PRESENCE_TOPIC, tampered);
+    assert.deepEqual(await spoofed, { type: 'PRESENCE', claimedName: carol.profile.fullname, peerId: carol.peerId });
+    assert.equal(bob.onlinePeers.get(carol.peerId).displayName, 'Carol');
+
+    // a valid signature, but for Alice's peer ID while it's Carol sending it
+    spoofed = waitForEvent(bob, 'spoof');
+    carol.publishEnvelope(PRESENCE_TOPIC, signEnvelope(PRESENCE_TOPIC, presence(carol, { peerId: alice.peerId }), alice.peerId, carol.keys));
+    assert.equal((await spoofed).peerId, carol.peerId);
+    assert.equal(bob.onlinePeers.get(alice.peerId).fullname, alice.profile.fullname);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
+
+test('a message claiming to be from a friend but signed with another key is dropped', async () => {
+  const { alice, bob, carol } = await startThree();
+  try {
+    let heard = false;
+    bob.on('message', () => { heard = true; });
+
+    const spoofed = waitForEvent(bob, 'spoof');
+    carol.sendDirect(bob.peerId, {
+      type: 'DIRECT_MESSAGE',
+      messageId: randomUUID(),
+      from: carol.peerId,
+      fromName: 'Alice',
+      fromFullname: alice.profile.fullname,
+      toFullname: bob.profile.fullname,
+      sealed: 'not really sealed',
+      timestamp: new Date().toISOString()
+    });
+    const spoof = await spoofed;
+    assert.equal(spoof.type, 'DIRECT_MESSAGE');
+    assert.equal(spoof.claimedName, alice.profile.fullname);
+    assert.equal(spoof.peerId, carol.peerId);
+    assert.equal(heard, false);
+    assert.equal(bob.getHistory('Alice').messages?.length ?? 0, 0);
+
+    // Alice's key is still the one pinned for her
+    assert.equal(bob.friends.get(alice.profile.fullname).signingKey, alice.keys.signingPublicKey);
+  } finally {
+    await stopClients(alice, bob, carol);
+  }
+});
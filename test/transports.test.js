@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClient, stopClients, makeFriends, waitFor } from './helpers.js';
+
+// connectClients for addresses other than the first TCP one
+async function connectVia(a, b, addr) {
+  assert.equal((await a.connect(addr)).success, true);
+  await waitFor(() => {
+    a.announcePresence();
+    b.announcePresence();
+    return a.onlinePeers.has(b.peerId) && b.onlinePeers.has(a.peerId);
+  }, { interval: 300, message: `${a.profile.displayName} and ${b.profile.displayName} to see each other` });
+}
+
+function remoteAddrs(client, other) {
+  return client.node.getConnections().filter(conn => conn.remotePeer.toString() === other.peerId).map(conn => conn.remoteAddr.toString());
+}
+
+test('connecting over WebSockets', async () => {
+  const alice = await startClient('Alice', undefined, { wsPort: 0 });
+  const bob = await startClient('Bob');
+  try {
+    const wsAddr = alice.getMultiaddrs().find(addr => addr.includes('/ws/'));
+    assert.ok(wsAddr);
+    await connectVia(bob, alice, wsAddr);
+    assert.deepEqual(remoteAddrs(bob, alice), [wsAddr]);
+  } finally {
+    await stopClients(alice, bob);
+  }
+});
+
+test('friends that can only be reached through a relay still get messages', async () => {
+  const relay = await startClient('Relay', undefined, { relay: true, listen: ['127.0.0.1'] });
+  const alice = await startClient('Alice', undefined, { relays: [relay.getMultiaddrs()[0]] });
+  const bob = await startClient('Bob');
+  try {
+    const circuitAddr = alice.getMultiaddrs().find(addr => addr.includes('/p2p-circuit/'));
+    assert.ok(circuitAddr.startsWith(relay.getMultiaddrs()[0]));
+
+    await connectVia(bob, alice, circuitAddr);
+    assert.ok(remoteAddrs(bob, alice).every(addr => addr.includes('/p2p-circuit/')));
+    // the relay caps relayed connections rather than carrying them forever
+    const relayed = bob.node.getConnections().filter(conn => conn.remotePeer.toString() === alice.peerId);
+    assert.ok(relayed.length > 0 && relayed.every(conn => conn.limits?.bytes > 0n));
+    await makeFriends(bob, alice);
+
+    bob.sendMessage(alice.profile.fullname, 'through the relay');
+    await waitFor(() => alice.getHistory('Bob').messages?.length === 1, { message: 'the relayed message' });
+
+    // the relayed address comes with Alice's presence, so Bob can redial it next time
+    alice.announcePresence();
+    await waitFor(() => bob.getAddressBook().some(entry => entry.addrs.includes(circuitAddr)), { message: 'the relayed address' });
+  } finally {
+    await stopClients(alice, bob, relay);
+  }
+});
+
+test('WebRTC connections are set up through the relay', async () => {
+  const relay = await startClient('Relay', undefined, { relay: true, listen: ['127.0.0.1'] });
+  const alice = await startClient('Alice', undefined, { relays: [relay.getMultiaddrs()[0]], webrtc: true });
+  const bob = await startClient('Bob', undefined, { webrtc: true });
+  try {
+    const webrtcAddr = alice.getMultiaddrs().find(addr => addr.includes('/webrtc/'));
+    assert.ok(webrtcAddr);
+    // ICE between two nodes on one machine now and then fails a dial. A failed one used to keep
+    // the process from exiting after stop(), now it's just tried again
+    await waitFor(async () => (await bob.connect(webrtcAddr)).success, { timeout: 30000, interval: 0, message: 'a WebRTC connection' });
+    await connectVia(bob, alice, webrtcAddr);
+    assert.ok(remoteAddrs(bob, alice).includes(webrtcAddr));
+  } finally {
+    await stopClients(alice, bob, relay);
+  }
+});